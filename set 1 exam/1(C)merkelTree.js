@@ -1,29 +1,178 @@
 const crypto = require('crypto');
 
-function createMerkleTree(transactions) {
+const MERKLE_MODES = {
+    LEGACY: 'legacy',
+    HARDENED: 'hardened'
+};
+
+// Domain separation prefixes for hardened trees, so a leaf can never be passed off as an internal node
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function hashPair(left, right) {
+    return crypto.createHash('sha256')
+                 .update(left + right)
+                 .digest('hex');
+}
+
+function toBytes(value) {
+    if (Buffer.isBuffer(value)) {
+        return value;
+    }
+    if (value instanceof Uint8Array) {
+        return Buffer.from(value);
+    }
+    return Buffer.from(String(value), 'utf8');
+}
+
+function hashLeaf(leaf) {
+    return crypto.createHash('sha256')
+                 .update(Buffer.concat([LEAF_PREFIX, toBytes(leaf)]))
+                 .digest('hex');
+}
+
+function hashNode(left, right) {
+    return crypto.createHash('sha256')
+                 .update(Buffer.concat([
+                     NODE_PREFIX,
+                     Buffer.from(left, 'hex'),
+                     Buffer.from(right, 'hex')
+                 ]))
+                 .digest('hex');
+}
+
+function resolveMode(options) {
+    const mode = (options && options.mode) || MERKLE_MODES.LEGACY;
+
+    if (mode !== MERKLE_MODES.LEGACY && mode !== MERKLE_MODES.HARDENED) {
+        throw new Error(`Unknown Merkle tree mode: ${mode}`);
+    }
+
+    return mode;
+}
+
+function createMerkleTree(transactions, options = {}) {
+    const tree = buildMerkleTree(transactions, options);
+    return tree ? tree.root : null;
+}
+
+// Keeps every level (leaves first, root last) so proofs can be read off the tree
+function buildMerkleTree(transactions, options = {}) {
+    const mode = resolveMode(options);
+
     if (transactions.length === 0) {
         return null;
     }
-    
-    let currentLevel = transactions.slice();
-    
-    while (currentLevel.length > 1) {
+
+    const hardened = mode === MERKLE_MODES.HARDENED;
+    const combine = hardened ? hashNode : hashPair;
+    const levels = [hardened ? transactions.map(hashLeaf) : transactions.slice()];
+
+    while (levels[levels.length - 1].length > 1) {
+        const currentLevel = levels[levels.length - 1];
         const nextLevel = [];
-        
+
         for (let i = 0; i < currentLevel.length; i += 2) {
             const left = currentLevel[i];
-            const right = (i + 1 < currentLevel.length) ? 
+            const right = (i + 1 < currentLevel.length) ?
                          currentLevel[i + 1] : currentLevel[i];
-            
-            const combined = left + right;
-            const hashResult = crypto.createHash('sha256')
-                                   .update(combined)
-                                   .digest('hex');
-            nextLevel.push(hashResult);
+
+            // Two real siblings that are equal mean the list was padded to mimic the odd-node duplication
+            if (hardened && i + 1 < currentLevel.length && left === right) {
+                throw new Error(`Duplicate subtree at level ${levels.length - 1}, index ${i}`);
+            }
+
+            nextLevel.push(combine(left, right));
+        }
+
+        levels.push(nextLevel);
+    }
+
+    return {
+        mode,
+        levels,
+        leaves: transactions.slice(),
+        root: levels[levels.length - 1][0]
+    };
+}
+
+function findLeafIndex(leaves, leaf) {
+    if (Buffer.isBuffer(leaf)) {
+        return leaves.findIndex(l => Buffer.isBuffer(l) && l.equals(leaf));
+    }
+    return leaves.indexOf(leaf);
+}
+
+// Accepts either a built tree or the raw transaction list, and either a leaf index or the leaf itself
+function getMerkleProof(treeOrTransactions, leafOrIndex, options = {}) {
+    const tree = Array.isArray(treeOrTransactions) ?
+                 buildMerkleTree(treeOrTransactions, options) : treeOrTransactions;
+
+    if (!tree) {
+        return null;
+    }
+
+    let index = typeof leafOrIndex === 'number' ?
+                leafOrIndex : findLeafIndex(tree.leaves, leafOrIndex);
+
+    if (!Number.isInteger(index) || index < 0 || index >= tree.leaves.length) {
+        return null;
+    }
+
+    const proof = [];
+
+    for (let level = 0; level < tree.levels.length - 1; level++) {
+        const currentLevel = tree.levels[level];
+        const isRightNode = index % 2 === 1;
+        const siblingIndex = isRightNode ? index - 1 : index + 1;
+
+        // An odd node at the end of a level is paired with itself
+        const sibling = siblingIndex < currentLevel.length ?
+                        currentLevel[siblingIndex] : currentLevel[index];
+
+        proof.push({
+            hash: sibling,
+            position: isRightNode ? 'left' : 'right'
+        });
+
+        index = Math.floor(index / 2);
+    }
+
+    return proof;
+}
+
+function verifyMerkleProof(leaf, proof, root, options = {}) {
+    const mode = resolveMode(options);
+
+    if (!Array.isArray(proof) || root === null || root === undefined) {
+        return false;
+    }
+
+    const hardened = mode === MERKLE_MODES.HARDENED;
+    const combine = hardened ? hashNode : hashPair;
+    let computedHash = hardened ? hashLeaf(leaf) : leaf;
+
+    for (const step of proof) {
+        if (step.position === 'left') {
+            // A duplicated odd node is always the right-hand sibling
+            if (hardened && step.hash === computedHash) {
+                return false;
+            }
+            computedHash = combine(step.hash, computedHash);
+        } else if (step.position === 'right') {
+            computedHash = combine(computedHash, step.hash);
+        } else {
+            return false;
         }
-        
-        currentLevel = nextLevel;
     }
-    
-    return currentLevel[0];
+
+    return computedHash === root;
 }
+
+module.exports = {
+    MERKLE_MODES,
+    createMerkleTree,
+    buildMerkleTree,
+    getMerkleProof,
+    verifyMerkleProof
+};
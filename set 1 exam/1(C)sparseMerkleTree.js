@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+
+const TREE_DEPTH = 256;
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function sha256(...parts) {
+    return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+function hashLeaf(key, value) {
+    return sha256(LEAF_PREFIX, key, sha256(Buffer.from(String(value), 'utf8')));
+}
+
+function hashNode(left, right) {
+    return sha256(NODE_PREFIX, left, right);
+}
+
+// DEFAULT_HASHES[d] is the root of an empty subtree whose top sits at depth d
+const DEFAULT_HASHES = (() => {
+    const defaults = new Array(TREE_DEPTH + 1);
+    defaults[TREE_DEPTH] = Buffer.alloc(32);
+
+    for (let depth = TREE_DEPTH - 1; depth >= 0; depth--) {
+        defaults[depth] = hashNode(defaults[depth + 1], defaults[depth + 1]);
+    }
+
+    return defaults;
+})();
+
+function normalizeKey(key) {
+    const buffer = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'hex');
+
+    if (buffer.length !== 32 || (!Buffer.isBuffer(key) && !/^[0-9a-fA-F]{64}$/.test(key))) {
+        throw new Error('Sparse Merkle tree keys must be 256-bit (32 bytes / 64 hex chars)');
+    }
+
+    return buffer;
+}
+
+function getBit(key, depth) {
+    return (key[depth >> 3] >> (7 - (depth & 7))) & 1;
+}
+
+class SparseMerkleTree {
+    constructor() {
+        this.leaves = new Map();
+        this.cachedRoot = null;
+    }
+
+    // Maps an arbitrary identifier (e.g. an address) onto the 256-bit key space
+    static keyFor(identifier) {
+        return crypto.createHash('sha256').update(String(identifier)).digest('hex');
+    }
+
+    has(key) {
+        return this.leaves.has(normalizeKey(key).toString('hex'));
+    }
+
+    get(key) {
+        const entry = this.leaves.get(normalizeKey(key).toString('hex'));
+        return entry ? entry.value : undefined;
+    }
+
+    insert(key, value) {
+        const keyBuffer = normalizeKey(key);
+        const keyHex = keyBuffer.toString('hex');
+
+        if (this.leaves.has(keyHex)) {
+            throw new Error(`Key already present: ${keyHex}`);
+        }
+
+        this.leaves.set(keyHex, { key: keyBuffer, value });
+        this.cachedRoot = null;
+    }
+
+    update(key, value) {
+        const keyBuffer = normalizeKey(key);
+        const keyHex = keyBuffer.toString('hex');
+
+        if (!this.leaves.has(keyHex)) {
+            throw new Error(`Key not found: ${keyHex}`);
+        }
+
+        this.leaves.set(keyHex, { key: keyBuffer, value });
+        this.cachedRoot = null;
+    }
+
+    delete(key) {
+        const keyHex = normalizeKey(key).toString('hex');
+        const deleted = this.leaves.delete(keyHex);
+
+        if (deleted) {
+            this.cachedRoot = null;
+        }
+
+        return deleted;
+    }
+
+    get size() {
+        return this.leaves.size;
+    }
+
+    getRoot() {
+        if (!this.cachedRoot) {
+            this.cachedRoot = this.computeSubtree(0, Array.from(this.leaves.values())).toString('hex');
+        }
+        return this.cachedRoot;
+    }
+
+    computeSubtree(depth, entries) {
+        if (entries.length === 0) {
+            return DEFAULT_HASHES[depth];
+        }
+
+        if (depth === TREE_DEPTH) {
+            return hashLeaf(entries[0].key, entries[0].value);
+        }
+
+        const left = [];
+        const right = [];
+
+        for (const entry of entries) {
+            (getBit(entry.key, depth) ? right : left).push(entry);
+        }
+
+        return hashNode(
+            this.computeSubtree(depth + 1, left),
+            this.computeSubtree(depth + 1, right)
+        );
+    }
+
+    // Proof for a key whether or not it is present; absent keys yield a non-membership proof
+    getProof(key) {
+        const keyBuffer = normalizeKey(key);
+        const keyHex = keyBuffer.toString('hex');
+        const bitmap = Buffer.alloc(TREE_DEPTH / 8);
+        const siblings = [];
+
+        let entries = Array.from(this.leaves.values());
+
+        for (let depth = 0; depth < TREE_DEPTH; depth++) {
+            const bit = getBit(keyBuffer, depth);
+            const onPath = [];
+            const offPath = [];
+
+            for (const entry of entries) {
+                (getBit(entry.key, depth) === bit ? onPath : offPath).push(entry);
+            }
+
+            // Only non-empty siblings are shipped; the bitmap marks where they go
+            if (offPath.length > 0) {
+                bitmap[depth >> 3] |= 0x80 >> (depth & 7);
+                siblings.push(this.computeSubtree(depth + 1, offPath).toString('hex'));
+            }
+
+            entries = onPath;
+        }
+
+        const entry = this.leaves.get(keyHex);
+
+        return {
+            key: keyHex,
+            included: Boolean(entry),
+            value: entry ? entry.value : null,
+            bitmap: bitmap.toString('hex'),
+            siblings
+        };
+    }
+
+    getMembershipProof(key) {
+        const proof = this.getProof(key);
+
+        if (!proof.included) {
+            throw new Error(`Key not found: ${proof.key}`);
+        }
+
+        return proof;
+    }
+
+    getNonMembershipProof(key) {
+        const proof = this.getProof(key);
+
+        if (proof.included) {
+            throw new Error(`Key is present: ${proof.key}`);
+        }
+
+        return proof;
+    }
+
+    static fromEntries(entries) {
+        const tree = new SparseMerkleTree();
+
+        for (const [key, value] of entries) {
+            tree.insert(key, value);
+        }
+
+        return tree;
+    }
+}
+
+// Standalone verifier: needs only the root and the proof, never the tree
+function verifySparseMerkleProof(root, proof) {
+    try {
+        const keyBuffer = normalizeKey(proof.key);
+        const bitmap = Buffer.from(proof.bitmap, 'hex');
+
+        if (bitmap.length !== TREE_DEPTH / 8 || !Array.isArray(proof.siblings)) {
+            return false;
+        }
+
+        let computedHash = proof.included ?
+                           hashLeaf(keyBuffer, proof.value) : DEFAULT_HASHES[TREE_DEPTH];
+        let siblingIndex = proof.siblings.length - 1;
+
+        for (let depth = TREE_DEPTH - 1; depth >= 0; depth--) {
+            let sibling = DEFAULT_HASHES[depth + 1];
+
+            if (bitmap[depth >> 3] & (0x80 >> (depth & 7))) {
+                if (siblingIndex < 0) {
+                    return false;
+                }
+                sibling = Buffer.from(proof.siblings[siblingIndex--], 'hex');
+            }
+
+            computedHash = getBit(keyBuffer, depth) ?
+                           hashNode(sibling, computedHash) : hashNode(computedHash, sibling);
+        }
+
+        return siblingIndex === -1 && computedHash.toString('hex') === root;
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    SparseMerkleTree,
+    verifySparseMerkleProof
+};
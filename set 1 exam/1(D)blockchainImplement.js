@@ -1,73 +1,340 @@
 const crypto = require('crypto');
+const {
+    MERKLE_MODES,
+    createMerkleTree,
+    getMerkleProof,
+    verifyMerkleProof
+} = require('./1(C)merkelTree.js');
+const { BlockStore } = require('../set 4 exam/4D-BlockStore.js');
+const { encodeTransaction, hashBlockHeader } = require('../set 4 exam/4D-Serialization.js');
+
+const EMPTY_MERKLE_ROOT = '0'.repeat(64);
+
+// Fixed so that every run (and every reload) derives the same genesis block
+const GENESIS_TIMESTAMP = 0;
+
+// Easiest allowed target: the old 4 leading hex zeros, i.e. hash < 2^240
+const MAX_TARGET = (1n << 240n) - 1n;
+
+const DEFAULT_CONSENSUS_PARAMS = {
+    targetBlockTime: 10000,   // ms between blocks
+    retargetInterval: 10,     // blocks per retarget window
+    maxAdjustmentFactor: 4,   // clamp on how far one retarget may move
+    maxTarget: MAX_TARGET
+};
+
+function targetToHex(target) {
+    return target.toString(16).padStart(64, '0');
+}
+
+function hashMeetsTarget(hash, target) {
+    return BigInt('0x' + hash) <= BigInt('0x' + target);
+}
+
+// Bitcoin-style retarget: scale the previous target by actual/expected window time, clamped
+function calculateNextTarget(headers, height, params = DEFAULT_CONSENSUS_PARAMS) {
+    let previousTarget = height > 0 ?
+        BigInt('0x' + headers[height - 1].target) : params.maxTarget;
+    // Never inherit a target easier than the network allows, whatever an earlier header says
+    if (previousTarget > params.maxTarget) {
+        previousTarget = params.maxTarget;
+    }
+
+    if (height < params.retargetInterval || height % params.retargetInterval !== 0) {
+        return targetToHex(previousTarget);
+    }
+
+    const firstBlock = headers[height - params.retargetInterval];
+    const lastBlock = headers[height - 1];
+    const expectedTimespan = params.targetBlockTime * (params.retargetInterval - 1);
+    const minTimespan = Math.floor(expectedTimespan / params.maxAdjustmentFactor);
+    const maxTimespan = expectedTimespan * params.maxAdjustmentFactor;
+
+    let actualTimespan = lastBlock.timestamp - firstBlock.timestamp;
+    actualTimespan = Math.min(Math.max(actualTimespan, minTimespan), maxTimespan);
+
+    let nextTarget = previousTarget * BigInt(actualTimespan) / BigInt(expectedTimespan);
+    if (nextTarget > params.maxTarget) {
+        nextTarget = params.maxTarget;
+    }
+    if (nextTarget < 1n) {
+        nextTarget = 1n;
+    }
+
+    return targetToHex(nextTarget);
+}
 
 class Block {
-    constructor(transactions, previousHash) {
+    constructor(transactions, previousHash, target) {
         this.timestamp = Date.now();
         this.transactions = transactions || [];
         this.previousHash = previousHash || '0';
+        this.merkleRoot = Block.computeMerkleRoot(this.transactions);
+        this.target = target || targetToHex(MAX_TARGET);
         this.nonce = 0;
         this.hash = this.calculateHash();
     }
-    
-    calculateHash() {
+
+    static fromJSON(data) {
+        return Object.assign(Object.create(Block.prototype), data);
+    }
+
+    static hashTransaction(transaction) {
         return crypto.createHash('sha256')
-            .update(
-                this.previousHash + 
-                this.timestamp + 
-                JSON.stringify(this.transactions) + 
-                this.nonce
-            )
+            .update(encodeTransaction(transaction))
             .digest('hex');
     }
-    
-    mineBlock(difficulty) {
-        const target = Array(difficulty + 1).join('0');
-        
-        while (this.hash.substring(0, difficulty) !== target) {
+
+    // Returns null for bodies the hardened tree rejects (identical sibling transactions)
+    static computeMerkleRoot(transactions) {
+        if (transactions.length === 0) {
+            return EMPTY_MERKLE_ROOT;
+        }
+        try {
+            return createMerkleTree(transactions.map(Block.hashTransaction), { mode: MERKLE_MODES.HARDENED });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The header commits to the body only through merkleRoot
+    static calculateHeaderHash(header) {
+        return hashBlockHeader({
+            previousHash: header.previousHash,
+            timestamp: header.timestamp,
+            merkleRoot: header.merkleRoot,
+            target: header.target
+        }, header.nonce);
+    }
+
+    calculateHash() {
+        return Block.calculateHeaderHash(this);
+    }
+
+    getHeader() {
+        return {
+            previousHash: this.previousHash,
+            timestamp: this.timestamp,
+            merkleRoot: this.merkleRoot,
+            target: this.target,
+            nonce: this.nonce,
+            hash: this.hash
+        };
+    }
+
+    hasValidMerkleRoot() {
+        return this.merkleRoot !== null && this.merkleRoot === Block.computeMerkleRoot(this.transactions);
+    }
+
+    getTransactionProof(transactionIndex) {
+        const transaction = this.transactions[transactionIndex];
+        if (!transaction || this.merkleRoot === null) {
+            return null;
+        }
+
+        const transactionHashes = this.transactions.map(Block.hashTransaction);
+
+        return {
+            transactionHash: transactionHashes[transactionIndex],
+            proof: getMerkleProof(transactionHashes, transactionIndex, { mode: MERKLE_MODES.HARDENED })
+        };
+    }
+
+    mineBlock() {
+        while (!hashMeetsTarget(this.hash, this.target)) {
             this.nonce++;
             this.hash = this.calculateHash();
         }
-        
+
         console.log(`Block mined: ${this.hash}`);
     }
 }
 
 class Blockchain {
-    constructor() {
+    constructor(consensusParams = {}) {
+        this.consensusParams = { ...DEFAULT_CONSENSUS_PARAMS, ...consensusParams };
         this.chain = [this.createGenesisBlock()];
-        this.difficulty = 4;
+        this.store = null;
     }
-    
+
+    // Load (or initialise) a chain persisted under dataDir, revalidating every block
+    static open(dataDir, consensusParams = {}) {
+        const blockchain = new Blockchain(consensusParams);
+        const store = new BlockStore(dataDir);
+        const storedBlocks = store.open();
+
+        if (storedBlocks.length === 0) {
+            store.append(blockchain.chain[0]);
+            store.flush();
+        } else {
+            // A replaced block 0 would otherwise be trusted along with everything built on it
+            if (storedBlocks[0].hash !== blockchain.chain[0].hash) {
+                store.close();
+                throw new Error(`Stored chain in ${dataDir} does not start with our genesis block`);
+            }
+            blockchain.chain = storedBlocks.map(Block.fromJSON);
+
+            if (!blockchain.isValidChain()) {
+                store.close();
+                throw new Error(`Stored chain in ${dataDir} failed validation`);
+            }
+        }
+
+        blockchain.store = store;
+        return blockchain;
+    }
+
+    close() {
+        if (this.store) {
+            this.store.close();
+            this.store = null;
+        }
+    }
+
     createGenesisBlock() {
-        return new Block([], '0');
+        const genesis = new Block([], '0', targetToHex(this.consensusParams.maxTarget));
+        genesis.timestamp = GENESIS_TIMESTAMP;
+        genesis.hash = genesis.calculateHash();
+        return genesis;
     }
-    
+
     getLatestBlock() {
         return this.chain[this.chain.length - 1];
     }
-    
-    mineBlock(transactions, difficulty = this.difficulty) {
-        const newBlock = new Block(transactions, this.getLatestBlock().hash);
-        newBlock.mineBlock(difficulty);
+
+    getNextTarget() {
+        return calculateNextTarget(this.chain, this.chain.length, this.consensusParams);
+    }
+
+    // Relative to the easiest allowed target, like Bitcoin's difficulty figure
+    getDifficulty() {
+        const target = BigInt('0x' + this.getNextTarget());
+        return Number(this.consensusParams.maxTarget * 1000n / target) / 1000;
+    }
+
+    mineBlock(transactions) {
+        const transactionHashes = (transactions || []).map(Block.hashTransaction);
+        if (new Set(transactionHashes).size !== transactionHashes.length) {
+            throw new Error('Invalid block: the same transaction appears more than once');
+        }
+
+        const newBlock = new Block(transactions, this.getLatestBlock().hash, this.getNextTarget());
+        newBlock.mineBlock();
         this.chain.push(newBlock);
+
+        if (this.store) {
+            this.store.append(newBlock);
+        }
         return newBlock;
     }
-    
+
+    getHeaders() {
+        return this.chain.map(block => block.getHeader());
+    }
+
     isValidChain() {
+        // Block 0 is not mined, so it has to be exactly our genesis block
+        const genesis = this.chain[0];
+        if (!genesis || genesis.hash !== this.createGenesisBlock().hash || genesis.hash !== genesis.calculateHash()) {
+            return false;
+        }
+
         for (let i = 1; i < this.chain.length; i++) {
             const currentBlock = this.chain[i];
             const previousBlock = this.chain[i - 1];
-            
+
             if (currentBlock.hash !== currentBlock.calculateHash()) {
                 return false;
             }
-            
+
             if (currentBlock.previousHash !== previousBlock.hash) {
                 return false;
             }
+
+            if (!currentBlock.hasValidMerkleRoot()) {
+                return false;
+            }
+
+            if (currentBlock.target !== calculateNextTarget(this.chain, i, this.consensusParams)) {
+                return false;
+            }
+
+            if (!hashMeetsTarget(currentBlock.hash, currentBlock.target)) {
+                return false;
+            }
         }
         return true;
     }
 }
 
-module.exports = { Block, Blockchain };
\ No newline at end of file
+// SPV verification: works from block headers alone, never the block bodies.
+// The first header must be the genesis block the caller trusts, by default the one these
+// consensus parameters produce, so a peer cannot start the chain from its own genesis
+class HeaderChainVerifier {
+    constructor(headers, consensusParams = {}, genesisHash = null) {
+        this.headers = headers;
+        this.consensusParams = { ...DEFAULT_CONSENSUS_PARAMS, ...consensusParams };
+        this.genesisHash = genesisHash || new Blockchain(this.consensusParams).chain[0].hash;
+    }
+
+    isValidHeaderChain() {
+        if (this.headers.length === 0 || this.headers[0].hash !== this.genesisHash) {
+            return false;
+        }
+
+        for (let i = 0; i < this.headers.length; i++) {
+            const header = this.headers[i];
+
+            if (header.hash !== Block.calculateHeaderHash(header)) {
+                return false;
+            }
+
+            if (i === 0) {
+                continue;
+            }
+
+            if (header.previousHash !== this.headers[i - 1].hash) {
+                return false;
+            }
+
+            if (header.target !== calculateNextTarget(this.headers, i, this.consensusParams)) {
+                return false;
+            }
+
+            if (!hashMeetsTarget(header.hash, header.target)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    findHeader(blockHash) {
+        return this.headers.find(header => header.hash === blockHash) || null;
+    }
+
+    // Returns the number of confirmations when the transaction is proven, 0 otherwise
+    verifyTransaction(transactionHash, proof, blockHash) {
+        if (!this.isValidHeaderChain()) {
+            return 0;
+        }
+
+        const header = this.findHeader(blockHash);
+        if (!header) {
+            return 0;
+        }
+
+        if (!verifyMerkleProof(transactionHash, proof, header.merkleRoot, { mode: MERKLE_MODES.HARDENED })) {
+            return 0;
+        }
+
+        return this.headers.length - this.headers.indexOf(header);
+    }
+}
+
+module.exports = {
+    Block,
+    Blockchain,
+    HeaderChainVerifier,
+    DEFAULT_CONSENSUS_PARAMS,
+    calculateNextTarget
+};
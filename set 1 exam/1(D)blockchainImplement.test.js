@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Block, Blockchain, HeaderChainVerifier, DEFAULT_CONSENSUS_PARAMS, calculateNextTarget } = require('./1(D)blockchainImplement.js');
+const { BlockStore } = require('../set 4 exam/4D-BlockStore.js');
+
+// One leading zero hex digit, so tests mine in a few hashes
+const PARAMS = { maxTarget: (1n << 252n) - 1n };
+const EASIEST = 'f'.repeat(64);
+
+function quietly(callback) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return callback();
+    } finally {
+        console.log = log;
+    }
+}
+
+test('the genesis block is the same on every run', () => {
+    assert.strictEqual(new Blockchain(PARAMS).chain[0].hash, new Blockchain(PARAMS).chain[0].hash);
+});
+
+test('a forged genesis with an easier target cannot carry blocks without work', () => {
+    const blockchain = new Blockchain(PARAMS);
+    quietly(() => blockchain.mineBlock([{ from: 'a', to: 'b', amount: 1 }]));
+    assert.strictEqual(blockchain.isValidChain(), true);
+
+    const forged = new Block([], '0', EASIEST);
+    const chain = [forged];
+    for (let i = 1; i < 4; i++) {
+        // Unmined: with the forged target every hash "meets" it
+        chain.push(new Block([], chain[i - 1].hash, EASIEST));
+    }
+    blockchain.chain = chain;
+    assert.strictEqual(blockchain.isValidChain(), false);
+
+    // The inherited target is clamped to the network maximum
+    assert.strictEqual(BigInt('0x' + calculateNextTarget(chain, 1, { ...DEFAULT_CONSENSUS_PARAMS, ...PARAMS })), PARAMS.maxTarget);
+});
+
+test('SPV verification only accepts header chains from the trusted genesis', () => {
+    const blockchain = new Blockchain(PARAMS);
+    quietly(() => blockchain.mineBlock([{ from: 'a', to: 'b', amount: 1 }]));
+    assert.strictEqual(new HeaderChainVerifier(blockchain.getHeaders(), PARAMS).isValidHeaderChain(), true);
+
+    // A self-consistent chain mined on top of some other genesis block
+    const other = new Blockchain(PARAMS);
+    other.chain = [new Block([], '0', other.chain[0].target)];
+    quietly(() => other.mineBlock([{ from: 'a', to: 'b', amount: 1 }]));
+    assert.strictEqual(new HeaderChainVerifier(other.getHeaders(), PARAMS).isValidHeaderChain(), false);
+    assert.strictEqual(new HeaderChainVerifier(other.getHeaders(), PARAMS, other.chain[0].hash).isValidHeaderChain(), true);
+});
+
+test('a store whose genesis block was replaced does not open', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blockchain-'));
+    try {
+        const store = new BlockStore(dataDir);
+        store.open();
+        store.append(new Block([], '0', new Blockchain(PARAMS).chain[0].target));
+        store.close();
+
+        assert.throws(() => Blockchain.open(dataDir, PARAMS), /does not start with our genesis block/);
+    } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+});
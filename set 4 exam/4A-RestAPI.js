@@ -1,15 +1,149 @@
 const express = require('express');
 const crypto = require('crypto');
+const { verifyTransactionSignature } = require('./4D-Wallet.js');
+const { encodeTransaction, encodeBlock, hashBlockHeader } = require('./4D-Serialization.js');
+const { AccountState } = require('./4D-AccountState.js');
+const { isStakingTransaction } = require('./4D-ProofOfStake.js');
+const { getBlockSubsidy } = require('./4D-Emission.js');
+const { MerkleMountainRange } = require('./4D-MerkleMountainRange.js');
+const { MERKLE_MODES, createMerkleTree } = require('../set 1 exam/1(C)merkelTree.js');
 const app = express();
 
 app.use(express.json());
 
+const FULL_CHAIN_SYNC_LIMIT = 20; // blocks; longer chains are synced incrementally
+const SYNC_BATCH_SIZE = 50;       // block bodies per request
+const MAX_HEADERS = 2000;         // headers per request
+const MAX_LOCATOR_HASHES = 101;   // hashes read from a peer's block locator
+const SYNC_REQUEST_TIMEOUT = 10000; // ms
+const MIN_DIFFICULTY = 4;           // leading zero hex digits, as on the 4D network
+const MAX_DIFFICULTY = 64;          // a SHA-256 hash has no more
+const MAX_BLOCK_SIZE = 100000;      // bytes, encoded
+const GOSSIP_MAX_HOPS = 6;          // relays a gossiped message may travel
+const GOSSIP_FANOUT = 8;            // peers each node forwards a message to
+const GOSSIP_REQUEST_TIMEOUT = 5000; // ms
+const SEEN_MESSAGE_TTL = 10 * 60 * 1000; // ms a message id is remembered
+const SEEN_CACHE_LIMIT = 10000;     // message ids kept at most
+const MAX_PEERS = 1000;             // peers kept at most
+const PEERS_PAGE_SIZE = 100;        // peers per /api/peers page
+const DISCOVER_PEER_LIMIT = 8;      // peers asked per discovery round
+const MAX_PEER_LENGTH = 256;        // characters in a peer entry
+
+// Accepts both full URLs and the host:port entries kept in `peers`
+function peerBaseUrl(peer) {
+  return /^https?:\/\//.test(peer) ? peer : `http://${peer}`;
+}
+
+// Fisher-Yates, in place
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Entries learned from other peers are only kept if they are short, dialable HTTP addresses
+function isValidPeer(peer) {
+  if (typeof peer !== 'string' || peer.length === 0 || peer.length > MAX_PEER_LENGTH) {
+    return false;
+  }
+  try {
+    const url = new URL(peerBaseUrl(peer));
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname !== '';
+  } catch (error) {
+    return false;
+  }
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(SYNC_REQUEST_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`${url} answered ${response.status}`);
+  }
+  return response.json();
+}
+
+// Same commitment as EnhancedBlockchain in 4D; null for bodies the hardened tree rejects
+function computeMerkleRoot(transactions) {
+  if (transactions.length === 0) {
+    return '0'.repeat(64);
+  }
+
+  const transactionHashes = transactions.map(transaction =>
+    crypto.createHash('sha256').update(encodeTransaction(transaction)).digest('hex')
+  );
+  try {
+    return createMerkleTree(transactionHashes, { mode: MERKLE_MODES.HARDENED });
+  } catch (error) {
+    return null;
+  }
+}
+
+// The fields a proof-of-work block hash covers before the nonce
+function getHashHeader(block, merkleRoot = block.merkleRoot) {
+  return {
+    index: block.index,
+    timestamp: block.timestamp,
+    merkleRoot,
+    previousHash: block.previousHash,
+    difficulty: block.difficulty,
+    historyRoot: block.historyRoot
+  };
+}
+
+// Hash of a full block, its Merkle root recomputed from the transactions; null for malformed blocks
+function calculateHash(block) {
+  try {
+    const merkleRoot = Array.isArray(block.transactions) ? computeMerkleRoot(block.transactions) : null;
+    return merkleRoot && hashBlockHeader(getHashHeader(block, merkleRoot), block.nonce);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Every 4D proof-of-work node starts from this block (EnhancedBlockchain.createGenesisBlock)
+function createGenesisBlock() {
+  const genesis = { index: 0, timestamp: 0, transactions: [], previousHash: '0', hash: null, nonce: 0, validator: null };
+  genesis.hash = calculateHash(genesis);
+  return genesis;
+}
+
+const GENESIS_HASH = createGenesisBlock().hash;
+
+// Headers carry the Merkle root in place of the transactions, so their hash can be checked
+function toHeader(block) {
+  const { transactions, ...header } = block;
+  return { ...header, merkleRoot: computeMerkleRoot(transactions) };
+}
+
+// Hash of the canonical encoding, so a message cannot claim the id of a different one and
+// re-serialising it (e.g. with other key order) keeps its id. Throws for unencodable payloads
+function getMessageId(kind, payload) {
+  const encoded = kind === 'block' ? encodeBlock(payload) : encodeTransaction(payload);
+  return crypto.createHash('sha256').update(encoded).digest('hex');
+}
+
+// Gossip envelope ({ messageId, hops, [kind] }) from a peer, or the bare payload from a client
+function readGossip(body, kind) {
+  if (body[kind] === undefined) {
+    return { hops: 0, payload: body };
+  }
+  return { messageId: body.messageId, hops: body.hops, payload: body[kind] };
+}
+
 class BlockchainAPI {
   constructor() {
     this.blockchain = [];
     this.peers = new Set();
     this.pendingTransactions = [];
     this.isSync = false;
+    this.minDifficulty = MIN_DIFFICULTY;
+    this.chainState = null; // ledger and history of `blockchain`, see getChainState()
+    this.blockHeights = null; // hash -> height on `blockchain`, see getBlockHeight()
+    this.seenMessages = new Map(); // message id -> expiry time, oldest first
+    // Headers and bodies fetched by an unfinished sync, so the next attempt resumes
+    this.syncState = { headers: [], bodies: new Map() };
   }
 
   setupBlockSync() {
@@ -22,44 +156,255 @@ class BlockchainAPI {
       });
     });
 
+    // Best height, so peers can tell whether there is anything to sync
+    app.get('/api/blocks/tip', (req, res) => {
+      res.json({
+        height: this.blockchain.length - 1,
+        hash: this.blockchain[this.blockchain.length - 1]?.hash
+      });
+    });
+
+    // Headers after the last locator hash we have in common (comma-separated, newest first)
+    app.get('/api/headers', (req, res) => {
+      const locator = String(req.query.locator || '').split(',', MAX_LOCATOR_HASHES).filter(Boolean);
+      const limit = Math.min(parseInt(req.query.limit, 10) || MAX_HEADERS, MAX_HEADERS);
+      const start = this.findLocatorFork(locator) + 1;
+
+      res.json({ headers: this.blockchain.slice(start, start + limit).map(toHeader) });
+    });
+
+    app.get('/api/blocks', (req, res) => {
+      const start = Math.max(parseInt(req.query.start, 10) || 0, 0);
+      const count = Math.min(parseInt(req.query.count, 10) || SYNC_BATCH_SIZE, SYNC_BATCH_SIZE);
+      res.json({ blocks: this.blockchain.slice(start, start + count) });
+    });
+
     app.post('/api/sync', async (req, res) => {
       try {
         const { peerUrl } = req.body;
-        const response = await fetch(`${peerUrl}/api/blockchain`);
-        const peerChain = await response.json();
-        
-        if (this.isValidChain(peerChain.chain) && peerChain.length > this.blockchain.length) {
-          this.blockchain = peerChain.chain;
+        const tip = await fetchJson(`${peerBaseUrl(peerUrl)}/api/blocks/tip`);
+
+        if (tip.height + 1 <= this.blockchain.length) {
+          return res.json({ message: 'Current chain is up to date' });
+        }
+
+        const synced = tip.height + 1 <= FULL_CHAIN_SYNC_LIMIT ?
+          await this.syncFullChain(peerUrl) :
+          await this.syncHeadersFirst(peerUrl);
+
+        if (synced) {
           this.isSync = true;
           res.json({ message: 'Blockchain synchronized', length: this.blockchain.length });
         } else {
           res.json({ message: 'Current chain is up to date' });
         }
       } catch (error) {
-        res.status(500).json({ error: 'Sync failed', details: error.message });
+        // Whatever was downloaded is kept in syncState for the next attempt
+        res.status(500).json({
+          error: 'Sync failed',
+          details: error.message,
+          length: this.blockchain.length,
+          pendingHeaders: this.syncState.headers.length
+        });
       }
     });
   }
 
+  // Tiny chains are cheaper to copy whole
+  async syncFullChain(peerUrl) {
+    const peerChain = await fetchJson(`${peerBaseUrl(peerUrl)}/api/blockchain`);
+    if (this.isValidChain(peerChain.chain) && peerChain.length > this.blockchain.length) {
+      this.blockchain = peerChain.chain;
+      return true;
+    }
+    return false;
+  }
+
+  // Hashes from the tip back to genesis: the last ten one by one, then exponentially sparser
+  getBlockLocator() {
+    const locator = [];
+    let step = 1;
+    for (let height = this.blockchain.length - 1; height > 0; height -= step) {
+      locator.push(this.blockchain[height].hash);
+      if (locator.length >= 10) step *= 2;
+    }
+    if (this.blockchain.length > 0) {
+      locator.push(this.blockchain[0].hash);
+    }
+    return locator;
+  }
+
+  // Height of a block on our chain, -1 when it is not on it. The index is rebuilt whenever the tip moved
+  getBlockHeight(hash) {
+    const tip = this.blockchain[this.blockchain.length - 1];
+    if (!this.blockHeights || this.blockHeights.tipHash !== tip?.hash) {
+      this.blockHeights = { tipHash: tip?.hash, heights: new Map(this.blockchain.map((block, height) => [block.hash, height])) };
+    }
+    const height = this.blockHeights.heights.get(hash);
+    return height === undefined ? -1 : height;
+  }
+
+  // Height of the first locator hash on our chain (-1 when we share nothing)
+  findLocatorFork(locator) {
+    for (const hash of locator) {
+      const height = this.getBlockHeight(hash);
+      if (height !== -1) return height;
+    }
+    return -1;
+  }
+
+  // The hash is recomputed from the header fields and must meet the block's difficulty,
+  // which may not be below the network minimum. Without a parent only our genesis block is valid
+  isValidHeader(header, previous) {
+    if (!header) {
+      return false;
+    }
+    if (!previous) {
+      return header.index === 0 && header.hash === GENESIS_HASH && this.hasValidHash(header);
+    }
+    if (header.previousHash !== previous.hash || header.index !== previous.index + 1) {
+      return false;
+    }
+    if (!Number.isInteger(header.difficulty) || header.difficulty < this.minDifficulty ||
+        header.difficulty > MAX_DIFFICULTY) {
+      return false;
+    }
+    return this.hasValidHash(header) && header.hash.startsWith('0'.repeat(header.difficulty));
+  }
+
+  hasValidHash(header) {
+    try {
+      return hashBlockHeader(getHashHeader(header), header.nonce) === header.hash;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Downloads headers from `peerUrl` until it has no more, then the bodies in parallel
+  // batches from all known peers, and switches to the result if it is longer
+  async syncHeadersFirst(peerUrl) {
+    const state = this.syncState;
+
+    // Resume only if the saved headers still build on our chain
+    if (state.headers.length > 0 && this.findLocatorFork([state.headers[0].previousHash]) === -1) {
+      this.syncState = { headers: [], bodies: new Map() };
+      return this.syncHeadersFirst(peerUrl);
+    }
+
+    for (;;) {
+      const lastHeader = state.headers[state.headers.length - 1];
+      const locator = lastHeader ? [lastHeader.hash, ...this.getBlockLocator()] : this.getBlockLocator();
+      const { headers } = await fetchJson(
+        `${peerBaseUrl(peerUrl)}/api/headers?locator=${locator.join(',')}&limit=${MAX_HEADERS}`
+      );
+
+      const forkHeight = this.findLocatorFork([headers[0]?.previousHash]);
+      if (!lastHeader && headers.length > 0 && forkHeight === -1 && this.blockchain.length > 0) {
+        throw new Error('Peer chain does not share our genesis block');
+      }
+
+      let previous = lastHeader || this.blockchain[forkHeight];
+      for (const header of headers) {
+        if (!this.isValidHeader(header, previous)) {
+          this.syncState = { headers: [], bodies: new Map() };
+          throw new Error(`Invalid header ${header.hash}`);
+        }
+        state.headers.push(header);
+        previous = header;
+      }
+
+      if (headers.length < MAX_HEADERS) break;
+    }
+
+    if (state.headers.length === 0) {
+      return false;
+    }
+
+    await this.downloadBodies(peerUrl);
+    return this.connectSyncedBlocks();
+  }
+
+  async downloadBodies(peerUrl) {
+    const state = this.syncState;
+    const sources = [peerUrl, ...Array.from(this.peers).filter(peer => peerBaseUrl(peer) !== peerBaseUrl(peerUrl))];
+
+    // Height of the first synced block on the peer's chain
+    const firstHeight = this.findLocatorFork([state.headers[0].previousHash]) + 1;
+
+    const batches = [];
+    for (let i = 0; i < state.headers.length; i += SYNC_BATCH_SIZE) {
+      const batch = state.headers.slice(i, i + SYNC_BATCH_SIZE);
+      if (batch.some(header => !state.bodies.has(header.hash))) {
+        batches.push({ start: firstHeight + i, headers: batch });
+      }
+    }
+
+    // Batch i starts at source i, moving on to the next source if that one fails
+    const results = await Promise.allSettled(batches.map(async ({ start, headers: batch }, i) => {
+      for (let attempt = 0; attempt < sources.length; attempt++) {
+        const source = sources[(i + attempt) % sources.length];
+        try {
+          const { blocks } = await fetchJson(
+            `${peerBaseUrl(source)}/api/blocks?start=${start}&count=${batch.length}`
+          );
+          // Each body must belong to the header we validated, transactions included
+          const matches = blocks.length === batch.length &&
+            blocks.every((block, j) => block.hash === batch[j].hash && calculateHash(block) === block.hash);
+          if (matches) {
+            blocks.forEach(block => state.bodies.set(block.hash, block));
+            return;
+          }
+        } catch (error) {
+          console.log(`Failed to fetch blocks ${start}+ from ${source}: ${error.message}`);
+        }
+      }
+      throw new Error(`No peer delivered blocks from height ${start}`);
+    }));
+
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+  }
+
+  connectSyncedBlocks() {
+    const state = this.syncState;
+    const forkHeight = this.findLocatorFork([state.headers[0].previousHash]);
+    const candidate = this.blockchain.slice(0, forkHeight + 1)
+      .concat(state.headers.map(header => state.bodies.get(header.hash)));
+    this.syncState = { headers: [], bodies: new Map() };
+
+    if (candidate.length <= this.blockchain.length || !this.isValidChain(candidate)) {
+      return false;
+    }
+    this.blockchain = candidate;
+    return true;
+  }
+
   setupTransactionPropagation() {
     app.post('/api/transaction', (req, res) => {
-      const { from, to, amount, signature } = req.body;
-      
-      if (!this.validateTransaction({ from, to, amount, signature })) {
+      // The signature covers every field, so the transaction is stored exactly as received
+      const { messageId, hops, payload: transaction } = readGossip(req.body, 'transaction');
+
+      const error = this.checkGossip('transaction', transaction, messageId, hops);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      // Validated first, so an invalid copy does not block the id for the real one
+      if (!this.validateTransaction(transaction)) {
         return res.status(400).json({ error: 'Invalid transaction' });
       }
-
-      const transaction = {
-        id: crypto.randomUUID(),
-        from,
-        to,
-        amount,
-        timestamp: Date.now(),
-        signature
-      };
+      if (!this.markSeen(getMessageId('transaction', transaction))) {
+        return res.json({ message: 'Transaction already seen', transactionId: transaction.id });
+      }
+      if (this.pendingTransactions.some(pending => pending.id === transaction.id)) {
+        return res.json({ message: 'Transaction already in pool', transactionId: transaction.id });
+      }
 
       this.pendingTransactions.push(transaction);
-      this.propagateTransaction(transaction);
+      if (hops < GOSSIP_MAX_HOPS) {
+        this.propagateTransaction(transaction, hops + 1);
+      }
       
       res.json({ message: 'Transaction added to pool', transactionId: transaction.id });
     });
@@ -69,55 +414,223 @@ class BlockchainAPI {
     });
   }
 
+  setupBlockPropagation() {
+    app.post('/api/blocks', (req, res) => {
+      const { messageId, hops, payload: block } = readGossip(req.body, 'block');
+
+      const error = this.checkGossip('block', block, messageId, hops);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!this.markSeen(getMessageId('block', block))) {
+        return res.json({ message: 'Block already seen', hash: block.hash });
+      }
+
+      // Only blocks on top of our tip can be checked here; anything else needs a sync
+      const tip = this.blockchain[this.blockchain.length - 1];
+      if (!tip || block.previousHash !== tip.hash) {
+        return res.status(202).json({ message: 'Block does not extend our chain', hash: block.hash });
+      }
+      const { accountState, historyMMR } = this.getChainState();
+      if (!this.isValidBlock(block, tip, accountState, historyMMR)) {
+        return res.status(400).json({ error: 'Invalid block' });
+      }
+
+      this.blockchain.push(block);
+      accountState.applyBlock(block);
+      historyMMR.append(block.hash);
+      this.chainState.tipHash = block.hash;
+      const confirmed = new Set(block.transactions.map(transaction => transaction.id));
+      this.pendingTransactions = this.pendingTransactions.filter(transaction => !confirmed.has(transaction.id));
+      if (hops < GOSSIP_MAX_HOPS) {
+        this.propagateBlock(block, hops + 1);
+      }
+
+      res.json({ message: 'Block added', hash: block.hash, length: this.blockchain.length });
+    });
+  }
+
+  // Returns why a gossiped message must be rejected, or null
+  checkGossip(kind, payload, messageId, hops) {
+    if (!payload || typeof payload !== 'object') {
+      return `Missing ${kind}`;
+    }
+    if (!Number.isInteger(hops) || hops < 0 || hops > GOSSIP_MAX_HOPS) {
+      return 'Invalid hop count';
+    }
+    let contentId;
+    try {
+      contentId = getMessageId(kind, payload);
+    } catch (error) {
+      return `Malformed ${kind}`;
+    }
+    if (messageId !== undefined && messageId !== contentId) {
+      return 'Message id does not match its content';
+    }
+    return null;
+  }
+
+  // Records a message id; false when it was already seen and has not expired
+  markSeen(messageId, now = Date.now()) {
+    for (const [id, expiresAt] of this.seenMessages) {
+      if (expiresAt > now && this.seenMessages.size < SEEN_CACHE_LIMIT) break;
+      this.seenMessages.delete(id);
+    }
+
+    if (this.seenMessages.has(messageId)) {
+      return false;
+    }
+    this.seenMessages.set(messageId, now + SEEN_MESSAGE_TTL);
+    return true;
+  }
+
   setupPeerDiscovery() {
     app.post('/api/peers/register', (req, res) => {
       const { address, port } = req.body;
       const peerAddress = `${address}:${port}`;
-      
-      this.peers.add(peerAddress);
-      res.json({ message: 'Peer registered', peers: Array.from(this.peers) });
+
+      if (!this.addPeer(peerAddress)) {
+        return res.status(400).json({ error: 'Invalid peer address or peer list full' });
+      }
+      res.json({ message: 'Peer registered', peers: this.getPeerPage(0, PEERS_PAGE_SIZE) });
     });
 
+    // Paginated: ?offset=&limit= (at most PEERS_PAGE_SIZE); `count` is the total
     app.get('/api/peers', (req, res) => {
-      res.json({ peers: Array.from(this.peers), count: this.peers.size });
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const limit = Math.min(parseInt(req.query.limit, 10) || PEERS_PAGE_SIZE, PEERS_PAGE_SIZE);
+      res.json({ peers: this.getPeerPage(offset, limit), count: this.peers.size, offset });
     });
 
+    // Asks a few random peers for one page of their peers each; what we keep is capped at MAX_PEERS
     app.post('/api/peers/discover', async (req, res) => {
-      try {
-        const discoveredPeers = new Set();
-        
-        for (const peer of this.peers) {
-          const response = await fetch(`http://${peer}/api/peers`);
-          const peerData = await response.json();
-          
-          peerData.peers.forEach(p => discoveredPeers.add(p));
-        }
-        
-        discoveredPeers.forEach(peer => this.peers.add(peer));
-        res.json({ discovered: Array.from(discoveredPeers) });
-      } catch (error) {
-        res.status(500).json({ error: 'Peer discovery failed' });
-      }
+      const peers = shuffle(Array.from(this.peers)).slice(0, DISCOVER_PEER_LIMIT);
+      const discovered = new Set();
+
+      await Promise.allSettled(peers.map(async peer => {
+        const peerData = await fetchJson(`${peerBaseUrl(peer)}/api/peers?limit=${PEERS_PAGE_SIZE}`);
+        if (!Array.isArray(peerData.peers)) return;
+        peerData.peers.slice(0, PEERS_PAGE_SIZE).forEach(found => {
+          if (!this.peers.has(found) && this.addPeer(found)) discovered.add(found);
+        });
+      }));
+
+      res.json({ discovered: Array.from(discovered), count: this.peers.size });
     });
   }
 
+  addPeer(peer) {
+    if (!isValidPeer(peer) || (!this.peers.has(peer) && this.peers.size >= MAX_PEERS)) {
+      return false;
+    }
+    this.peers.add(peer);
+    return true;
+  }
+
+  getPeerPage(offset, limit) {
+    return Array.from(this.peers).slice(offset, offset + limit);
+  }
+
+  // Well-formed and signed; balances and nonce order are checked when a block includes it
   validateTransaction(transaction) {
-    return transaction.from && transaction.to && transaction.amount > 0;
+    return Boolean(transaction.from && (transaction.to || isStakingTransaction(transaction))) &&
+      typeof transaction.amount === 'number' && transaction.amount > 0 &&
+      Number.isInteger(transaction.nonce) &&
+      (transaction.fee === undefined || (typeof transaction.fee === 'number' && transaction.fee >= 0)) &&
+      verifyTransactionSignature(transaction);
+  }
+
+  // Confirmed balances and block history of the current chain, rebuilt whenever the chain was replaced
+  getChainState() {
+    const tip = this.blockchain[this.blockchain.length - 1];
+    if (!this.chainState || this.chainState.tipHash !== tip?.hash) {
+      this.chainState = {
+        tipHash: tip?.hash,
+        accountState: AccountState.fromChain(this.blockchain),
+        historyMMR: MerkleMountainRange.fromBlockHashes(this.blockchain.map(block => block.hash))
+      };
+    }
+    return this.chainState;
   }
 
+  // The checks the 4D node's EnhancedBlockchain.isValidBlock makes for proof-of-work blocks:
+  // hash and work, history commitment, size, signatures, balances, nonces and the reward
+  isValidBlock(block, previous, accountState, historyMMR) {
+    if (!block || calculateHash(block) !== block.hash || !this.isValidHeader(toHeader(block), previous)) {
+      return false;
+    }
+    if (block.historyRoot !== historyMMR.getRoot(block.index)) {
+      return false;
+    }
+
+    // Peer data: anything that does not even encode is invalid
+    try {
+      if (encodeBlock(block).length > MAX_BLOCK_SIZE) {
+        return false;
+      }
+
+      const unsigned = block.transactions.find(transaction =>
+        !transaction || (transaction.from !== null && !verifyTransactionSignature(transaction))
+      );
+      if (unsigned !== undefined) {
+        return false;
+      }
+
+      const error = accountState.checkBlock(block, getBlockSubsidy(block.index));
+      if (error) {
+        console.log(`Block ${block.index} rejected: ${error}`);
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+    return true;
+  }
+
+  // Replays the chain from the genesis block, which must be the network's
   isValidChain(chain) {
-    return true; // Simplified for demo
+    if (!Array.isArray(chain) || chain.length === 0 ||
+        chain[0].hash !== GENESIS_HASH || calculateHash(chain[0]) !== GENESIS_HASH) {
+      return false;
+    }
+
+    const accountState = AccountState.fromChain([chain[0]]);
+    const historyMMR = MerkleMountainRange.fromBlockHashes([chain[0].hash]);
+    for (let i = 1; i < chain.length; i++) {
+      if (!this.isValidBlock(chain[i], chain[i - 1], accountState, historyMMR)) {
+        return false;
+      }
+      accountState.applyBlock(chain[i]);
+      historyMMR.append(chain[i].hash);
+    }
+    return true;
+  }
+
+  async propagateTransaction(transaction, hops = 1) {
+    await this.gossip('/api/transaction', {
+      messageId: getMessageId('transaction', transaction),
+      hops,
+      transaction
+    });
+  }
+
+  async propagateBlock(block, hops = 1) {
+    await this.gossip('/api/blocks', { messageId: getMessageId('block', block), hops, block });
   }
 
-  async propagateTransaction(transaction) {
-    const promises = Array.from(this.peers).map(peer => 
-      fetch(`http://${peer}/api/transaction`, {
+  // Sends to a random subset of peers; the seen cache stops copies that come back round a cycle
+  async gossip(path, message) {
+    const promises = shuffle(Array.from(this.peers)).slice(0, GOSSIP_FANOUT).map(peer => 
+      fetch(`${peerBaseUrl(peer)}${path}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(transaction)
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(GOSSIP_REQUEST_TIMEOUT)
       }).catch(err => console.log(`Failed to propagate to ${peer}`))
     );
     
     await Promise.allSettled(promises);
   }
-}
\ No newline at end of file
+}
+
+module.exports = { BlockchainAPI, app, calculateHash, createGenesisBlock, getMessageId };
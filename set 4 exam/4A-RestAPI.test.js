@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateHash, createGenesisBlock, getMessageId } = require('./4A-RestAPI.js');
+const { createWallet, signTransaction } = require('./4D-Wallet.js');
+const { MerkleMountainRange } = require('./4D-MerkleMountainRange.js');
+const { getBlockSubsidy } = require('./4D-Emission.js');
+
+function mine(block, difficulty) {
+  block.difficulty = difficulty;
+  for (block.nonce = 0; ; block.nonce++) {
+    block.hash = calculateHash(block);
+    if (block.hash.startsWith('0'.repeat(difficulty))) return block;
+  }
+}
+
+function nextBlock(chain, transactions, miner, fees = 0) {
+  const previous = chain[chain.length - 1];
+  const index = previous.index + 1;
+  const reward = { id: `reward-${index}`, from: null, to: miner, amount: getBlockSubsidy(index) + fees, timestamp: index };
+  return mine({
+    index,
+    timestamp: previous.timestamp + 1,
+    transactions: [reward, ...transactions],
+    previousHash: previous.hash,
+    historyRoot: MerkleMountainRange.fromBlockHashes(chain.map(block => block.hash)).getRoot()
+  }, 1);
+}
+
+// The routes live on a module-level express app, so each node gets its own copy of the module
+async function startNode(chain) {
+  const modulePath = require.resolve('./4A-RestAPI.js');
+  delete require.cache[modulePath];
+  const { BlockchainAPI, app } = require(modulePath);
+
+  const api = new BlockchainAPI();
+  api.minDifficulty = 1;
+  api.blockchain = chain;
+  api.setupBlockSync();
+  api.setupTransactionPropagation();
+  api.setupBlockPropagation();
+  api.setupPeerDiscovery();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  return { api, server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function post(server, path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function buildChain(length, miner) {
+  const chain = [createGenesisBlock()];
+  while (chain.length < length) {
+    chain.push(nextBlock(chain, [], miner));
+  }
+  return chain;
+}
+
+test('a signed transaction with a nonce and a fee enters the pool and is mined', async () => {
+  const sender = createWallet();
+  const recipient = createWallet();
+  // Rewards mature after ten blocks
+  const { api, server } = await startNode(buildChain(12, sender.address));
+  try {
+    const transaction = signTransaction({
+      from: sender.address,
+      to: recipient.address,
+      amount: 3,
+      fee: 0.5,
+      nonce: 0,
+      timestamp: Date.now()
+    }, sender);
+
+    // A tampered copy is rejected without blocking the genuine one
+    const tampered = await post(server, '/api/transaction', { ...transaction, fee: 0 });
+    assert.strictEqual(tampered.status, 400);
+
+    const added = await post(server, '/api/transaction', transaction);
+    assert.strictEqual(added.status, 200);
+    assert.strictEqual(added.body.message, 'Transaction added to pool');
+    assert.deepStrictEqual(api.pendingTransactions, [transaction]);
+
+    const block = nextBlock(api.blockchain, api.pendingTransactions, recipient.address, 0.5);
+    const mined = await post(server, '/api/blocks', block);
+    assert.strictEqual(mined.status, 200);
+    assert.strictEqual(mined.body.message, 'Block added');
+    assert.strictEqual(api.pendingTransactions.length, 0);
+
+    const { accountState } = api.getChainState();
+    assert.strictEqual(accountState.getBalance(recipient.address), 3 + getBlockSubsidy(12) + 0.5);
+    assert.strictEqual(accountState.getNonce(sender.address), 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('message ids do not depend on key order', () => {
+  const wallet = createWallet();
+  const transaction = signTransaction({ from: wallet.address, to: 'someone', amount: 1, nonce: 0, timestamp: 1 }, wallet);
+  const reordered = Object.fromEntries(Object.entries(transaction).reverse());
+
+  assert.strictEqual(getMessageId('transaction', reordered), getMessageId('transaction', transaction));
+  assert.notStrictEqual(getMessageId('transaction', { ...transaction, amount: 2 }), getMessageId('transaction', transaction));
+  assert.notStrictEqual(getMessageId('block', transaction), getMessageId('transaction', transaction));
+});
+
+test('a node with no blocks syncs headers-first from the genesis block', async () => {
+  const miner = createWallet();
+  const source = await startNode(buildChain(30, miner.address));
+  const target = await startNode([]);
+  try {
+    const synced = await post(target.server, '/api/sync', { peerUrl: source.url });
+    assert.strictEqual(synced.status, 200, JSON.stringify(synced.body));
+    assert.strictEqual(synced.body.length, 30);
+    assert.deepStrictEqual(target.api.blockchain.map(block => block.hash), source.api.blockchain.map(block => block.hash));
+  } finally {
+    source.server.close();
+    target.server.close();
+  }
+});
+
+test('header requests read a bounded locator', async () => {
+  const node = await startNode(buildChain(3, createWallet().address));
+  try {
+    // Only the first 101 entries are looked at, so a match further down is ignored
+    const locator = [...Array(200).fill('00'.repeat(32)), node.api.blockchain[1].hash];
+    const response = await fetch(`${node.url}/api/headers?locator=${locator.join(',')}`);
+    const { headers } = await response.json();
+    assert.deepStrictEqual(headers.map(header => header.index), [0, 1, 2]);
+  } finally {
+    node.server.close();
+  }
+});
+
+test('peer discovery reads one bounded page per peer and drops unusable entries', async () => {
+  const source = await startNode([createGenesisBlock()]);
+  const target = await startNode([createGenesisBlock()]);
+  try {
+    // An entry our own checks would refuse, as a misbehaving peer might list it
+    source.api.peers.add('x'.repeat(300));
+    for (let port = 1; port <= 150; port++) source.api.addPeer(`10.0.0.1:${port}`);
+
+    const page = await (await fetch(`${source.url}/api/peers?offset=100&limit=1000`)).json();
+    assert.strictEqual(page.count, 151);
+    assert.strictEqual(page.peers.length, 51);
+
+    target.api.addPeer(source.url);
+    const discovered = await post(target.server, '/api/peers/discover', {});
+    assert.strictEqual(discovered.status, 200);
+    assert.strictEqual(discovered.body.discovered.length, 99);
+    assert.strictEqual(target.api.peers.size, 100);
+    assert.ok(!target.api.peers.has('x'.repeat(300)));
+  } finally {
+    source.server.close();
+    target.server.close();
+  }
+});
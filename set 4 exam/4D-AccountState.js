@@ -0,0 +1,297 @@
+const { DEFAULT_EMISSION_PARAMS, UNITS_PER_COIN, sameAmount } = require('./4D-Emission.js');
+const { EPOCH_LENGTH, isStakingTransaction, isSlashTransaction } = require('./4D-ProofOfStake.js');
+
+// Account-model transactions look like:
+// { id, from, to, amount, fee, nonce, timestamp, publicKey, signature }
+// `nonce` is the number of transactions the sender has already had confirmed, so a signed
+// transaction applies at most once (no replays). The sender pays amount + fee; the fee goes to the
+// miner through the reward. A transaction with from === null is the mining reward; it can only be
+// spent once it is `coinbaseMaturity` blocks deep.
+// STAKE / UNSTAKE move funds between an account's balance and its stake; SLASH burns an
+// offender's whole stake (see 4D-ProofOfStake.js).
+
+function isReward(transaction) {
+  return transaction.from === null;
+}
+
+function getFee(transaction) {
+  return isReward(transaction) ? 0 : transaction.fee || 0;
+}
+
+function slashKey(transaction) {
+  return `${transaction.offender}:${transaction.slot}`;
+}
+
+// Per-account deltas a transaction causes. `locked` marks rewards from the same block, which
+// are not spendable yet
+function getChanges(state, transaction, pending) {
+  const fee = getFee(transaction);
+
+  switch (transaction.type) {
+    case 'STAKE':
+      return [{ address: transaction.from, balance: -(transaction.amount + fee), stake: transaction.amount, nonce: 1 }];
+    case 'UNSTAKE':
+      return [{ address: transaction.from, balance: transaction.amount - fee, stake: -transaction.amount, nonce: 1 }];
+    case 'SLASH':
+      return [{ address: transaction.offender, stake: -state.getAccount(transaction.offender, pending).stake }];
+  }
+
+  const changes = [];
+  if (!isReward(transaction)) {
+    changes.push({ address: transaction.from, balance: -(transaction.amount + fee), nonce: 1 });
+  }
+  changes.push({
+    address: transaction.to,
+    balance: transaction.amount,
+    locked: isReward(transaction) ? transaction.amount : 0
+  });
+  return changes;
+}
+
+// Applies (direction 1) or reverts (direction -1) changes on the overlay of touched accounts
+function applyChanges(state, changes, pending, direction = 1) {
+  changes.forEach(change => {
+    const account = state.getAccount(change.address, pending);
+    pending.set(change.address, {
+      balance: account.balance + direction * (change.balance || 0),
+      nonce: account.nonce + direction * (change.nonce || 0),
+      stake: account.stake + direction * (change.stake || 0),
+      locked: account.locked + direction * (change.locked || 0)
+    });
+  });
+}
+
+function recordPending(state, transaction, pending) {
+  applyChanges(state, getChanges(state, transaction, pending), pending);
+}
+
+class AccountState {
+  constructor(emissionParams = DEFAULT_EMISSION_PARAMS) {
+    this.balances = new Map(); // address -> confirmed balance
+    this.nonces = new Map();   // address -> next expected nonce
+    this.rewards = new Map();  // block index -> { address, amount } of its reward
+    this.stakes = new Map();   // address -> staked amount
+    this.slashes = new Map();  // "offender:slot" -> { amount, height } burned by a SLASH
+    this.stakeSnapshots = new Map(); // epoch start height -> stakes after that block
+    this.emissionParams = emissionParams;
+    this.height = -1;          // index of the last applied block
+  }
+
+  getBalance(address) {
+    return this.balances.get(address) || 0;
+  }
+
+  getNonce(address) {
+    return this.nonces.get(address) || 0;
+  }
+
+  getStake(address) {
+    return this.stakes.get(address) || 0;
+  }
+
+  // Stakes as they stood after the epoch-start block at `height`
+  getStakeSnapshot(height) {
+    const snapshot = this.stakeSnapshots.get(height);
+    if (!snapshot) {
+      throw new Error(`No stake snapshot at height ${height}`);
+    }
+    return snapshot;
+  }
+
+  getAccount(address, pending = new Map()) {
+    return pending.get(address) || {
+      balance: this.getBalance(address),
+      nonce: this.getNonce(address),
+      stake: this.getStake(address),
+      locked: 0
+    };
+  }
+
+  // Confirmed rewards to `address` that cannot be spent in block `height` yet
+  getImmatureBalance(address, height = this.height + 1) {
+    let immature = 0;
+    const firstImmature = Math.max(height - this.emissionParams.coinbaseMaturity + 1, 0);
+    for (let rewardHeight = firstImmature; rewardHeight < height; rewardHeight++) {
+      const reward = this.rewards.get(rewardHeight);
+      if (reward && reward.address === address) {
+        immature += reward.amount;
+      }
+    }
+    return immature;
+  }
+
+  // Returns null when the transaction is valid against this state at block `height`, otherwise the reason
+  checkTransaction(transaction, pending = new Map(), height = this.height + 1) {
+    if (!transaction || !transaction.id) {
+      return 'Malformed transaction';
+    }
+
+    // The evidence itself is checked by the chain; here only whether there is anything to slash
+    if (isSlashTransaction(transaction)) {
+      if (!transaction.offender || !Number.isInteger(transaction.slot)) {
+        return 'Malformed transaction';
+      }
+      if (this.slashes.has(slashKey(transaction))) {
+        return `${transaction.offender} was already slashed for slot ${transaction.slot}`;
+      }
+      if (!(this.getAccount(transaction.offender, pending).stake > 0)) {
+        return `${transaction.offender} has no stake to slash`;
+      }
+      return null;
+    }
+
+    if (typeof transaction.amount !== 'number' || !(transaction.amount > 0) ||
+        (!transaction.to && !isStakingTransaction(transaction))) {
+      return 'Malformed transaction';
+    }
+
+    if (isReward(transaction)) {
+      return null;
+    }
+
+    if (!transaction.from || !Number.isInteger(transaction.nonce)) {
+      return 'Malformed transaction';
+    }
+
+    if (transaction.fee !== undefined && !(typeof transaction.fee === 'number' && transaction.fee >= 0)) {
+      return 'Invalid fee';
+    }
+
+    const sender = this.getAccount(transaction.from, pending);
+    if (transaction.nonce !== sender.nonce) {
+      return `Expected nonce ${sender.nonce} for ${transaction.from}, got ${transaction.nonce}`;
+    }
+
+    if (transaction.type === 'UNSTAKE' && transaction.amount > sender.stake) {
+      return `Cannot unstake ${transaction.amount}: ${transaction.from} has ${sender.stake} staked`;
+    }
+
+    // Unstaked funds can pay the fee of the transaction that releases them
+    const required = transaction.type === 'UNSTAKE' ?
+      getFee(transaction) - transaction.amount :
+      transaction.amount + getFee(transaction);
+    const spendable = sender.balance - sender.locked - this.getImmatureBalance(transaction.from, height);
+    if (required > spendable) {
+      return `Insufficient balance: ${transaction.from} can spend ${spendable}, needs ${required}`;
+    }
+
+    return null;
+  }
+
+  getFee(transaction) {
+    return getFee(transaction);
+  }
+
+  // Dry run over a whole block so several transactions from one sender are accounted for.
+  // The block must have exactly one reward, paying `subsidy` plus the fees of its transactions
+  checkBlock(block, subsidy) {
+    const pending = new Map();
+    const rewards = [];
+    let fees = 0;
+
+    for (const transaction of block.transactions) {
+      const error = this.checkTransaction(transaction, pending, block.index);
+      if (error) {
+        return error;
+      }
+
+      if (isReward(transaction)) {
+        rewards.push(transaction);
+      } else {
+        fees += getFee(transaction);
+      }
+
+      recordPending(this, transaction, pending);
+    }
+
+    if (rewards.length !== 1 || !sameAmount(rewards[0].amount, subsidy + fees)) {
+      return `Invalid mining reward: expected exactly one paying ${subsidy + fees}`;
+    }
+
+    return null;
+  }
+
+  // Keeps the transactions that can all be included together, in order
+  filterValidTransactions(transactions) {
+    const pending = new Map();
+
+    return transactions.filter(transaction => {
+      if (!transaction || isReward(transaction) || this.checkTransaction(transaction, pending)) {
+        return false;
+      }
+      recordPending(this, transaction, pending);
+      return true;
+    });
+  }
+
+  setAccount(address, { balance, nonce, stake }) {
+    // Round to base units so applying and undoing blocks does not accumulate float error
+    const entries = [
+      [this.balances, Math.round(balance * UNITS_PER_COIN) / UNITS_PER_COIN],
+      [this.nonces, nonce],
+      [this.stakes, Math.round(stake * UNITS_PER_COIN) / UNITS_PER_COIN]
+    ];
+
+    entries.forEach(([map, value]) => {
+      if (value === 0) {
+        map.delete(address);
+      } else {
+        map.set(address, value);
+      }
+    });
+  }
+
+  // Applies an already-checked block
+  applyBlock(block) {
+    const pending = new Map();
+    block.transactions.forEach(transaction => {
+      if (isSlashTransaction(transaction)) {
+        const amount = this.getAccount(transaction.offender, pending).stake;
+        this.slashes.set(slashKey(transaction), { amount, height: block.index });
+      }
+      recordPending(this, transaction, pending);
+      if (isReward(transaction)) {
+        this.rewards.set(block.index, { address: transaction.to, amount: transaction.amount });
+      }
+    });
+    pending.forEach((account, address) => this.setAccount(address, account));
+    if (block.index % EPOCH_LENGTH === 0) {
+      this.stakeSnapshots.set(block.index, new Map(this.stakes));
+    }
+    this.height = block.index;
+  }
+
+  // Account changes are reversible from the block itself (plus the recorded slash amounts)
+  undoBlock(block) {
+    const pending = new Map();
+
+    for (let t = block.transactions.length - 1; t >= 0; t--) {
+      const transaction = block.transactions[t];
+
+      if (isSlashTransaction(transaction)) {
+        const { amount } = this.slashes.get(slashKey(transaction));
+        applyChanges(this, [{ address: transaction.offender, stake: -amount }], pending, -1);
+        this.slashes.delete(slashKey(transaction));
+      } else {
+        applyChanges(this, getChanges(this, transaction, pending), pending, -1);
+      }
+    }
+
+    pending.forEach((account, address) => this.setAccount(address, account));
+    this.rewards.delete(block.index);
+    this.stakeSnapshots.delete(block.index);
+    this.height = block.index - 1;
+  }
+
+  static fromChain(chain, emissionParams) {
+    const accountState = new AccountState(emissionParams);
+    chain.forEach(block => accountState.applyBlock(block));
+    return accountState;
+  }
+}
+
+module.exports = {
+  AccountState,
+  isReward,
+  getFee
+};
@@ -0,0 +1,452 @@
+const { encodeValue } = require('./4D-Serialization.js');
+const { addressFromPublicKey, signData, verifyDataSignature } = require('./4D-Wallet.js');
+
+// Round-based BFT consensus (Tendermint-style) for permissioned networks with a fixed validator set.
+// Each height runs rounds of PROPOSAL -> PREVOTE -> PRECOMMIT. A block is committed once more than
+// two thirds of the validators precommit it, so up to f = (n - 1) / 3 faulty validators are tolerated
+// and committed blocks are final. The precommit signatures travel with the block as its commit
+// certificate, which any node can check against the validator set.
+//
+// PROPOSAL: { type, height, round, validRound, block, validator, signature }
+//   block.round is the round the block was built in and block.validator that round's proposer;
+//   with validRound >= 0 a later proposer re-proposes a block built in an earlier round
+// PREVOTE / PRECOMMIT: { type, height, round, blockHash (null = nil), validator, signature }
+
+const BFT_MESSAGES = {
+  PROPOSAL: 'PROPOSAL',
+  PREVOTE: 'PREVOTE',
+  PRECOMMIT: 'PRECOMMIT'
+};
+
+const DEFAULT_BFT_TIMEOUTS = {
+  propose: 3000,   // ms to wait for the round's proposal
+  prevote: 1000,   // ms after a quorum of mixed prevotes
+  precommit: 1000, // ms after a quorum of mixed precommits
+  delta: 500,      // added per round, so rounds lengthen until the network is fast enough
+  commit: 1000     // ms between committing a block and starting the next height
+};
+
+// Bytes a validator signs; the block itself is committed through its hash
+function signingPayload(message) {
+  return encodeValue({
+    type: message.type,
+    height: message.height,
+    round: message.round,
+    validRound: message.type === BFT_MESSAGES.PROPOSAL ? message.validRound : null,
+    blockHash: message.type === BFT_MESSAGES.PROPOSAL ? message.block.hash : message.blockHash
+  });
+}
+
+function signMessage(message, wallet) {
+  const signed = { ...message, validator: wallet.address };
+  signed.signature = signData(signingPayload(signed), wallet);
+  return signed;
+}
+
+class ValidatorSet {
+  constructor(publicKeys) {
+    if (!Array.isArray(publicKeys) || publicKeys.length === 0) {
+      throw new Error('BFT consensus requires a validator set');
+    }
+
+    this.publicKeys = new Map(publicKeys.map(publicKey => [addressFromPublicKey(publicKey), publicKey]));
+    this.addresses = Array.from(this.publicKeys.keys()).sort();
+  }
+
+  get size() {
+    return this.addresses.length;
+  }
+
+  getMaxFaulty() {
+    return Math.floor((this.size - 1) / 3);
+  }
+
+  getQuorum() {
+    return Math.floor(this.size * 2 / 3) + 1;
+  }
+
+  has(address) {
+    return this.publicKeys.has(address);
+  }
+
+  // Round-robin over the sorted addresses, moving on with every height and round
+  getProposer(height, round) {
+    return this.addresses[(height + round) % this.size];
+  }
+
+  verifyMessage(message) {
+    if (!message || !Number.isInteger(message.height) || !Number.isInteger(message.round) ||
+        !this.has(message.validator) || typeof message.signature !== 'string') {
+      return false;
+    }
+    if (message.type === BFT_MESSAGES.PROPOSAL && !(message.block && message.block.hash)) {
+      return false;
+    }
+
+    try {
+      return verifyDataSignature(signingPayload(message), this.publicKeys.get(message.validator), message.signature);
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function createCommitCertificate(height, round, blockHash, precommits) {
+  return {
+    height,
+    round,
+    blockHash,
+    signatures: precommits.map(({ validator, signature }) => ({ validator, signature }))
+  };
+}
+
+// A quorum of distinct validators precommitted this block
+function verifyCommitCertificate(certificate, block, validatorSet) {
+  if (!certificate || certificate.height !== block.index || certificate.blockHash !== block.hash ||
+      !Number.isInteger(certificate.round) || !Array.isArray(certificate.signatures)) {
+    return false;
+  }
+
+  const signers = new Set();
+  certificate.signatures.forEach(({ validator, signature }) => {
+    const precommit = {
+      type: BFT_MESSAGES.PRECOMMIT,
+      height: certificate.height,
+      round: certificate.round,
+      blockHash: certificate.blockHash,
+      validator,
+      signature
+    };
+    if (!signers.has(validator) && validatorSet.verifyMessage(precommit)) {
+      signers.add(validator);
+    }
+  });
+
+  return signers.size >= validatorSet.getQuorum();
+}
+
+// State machine for one validator. The host supplies:
+//   getHeight()                 index of the next block to commit
+//   createBlock(height, round)  unsigned block on top of the current tip, built by this validator in `round`
+//   isValidProposal(block)      full validation of a block without its commit certificate
+//   commitBlock(block)          adds a block (with `commit` attached) to the chain; returns success
+//   resync()                    catches the chain up from peers after a failed commit
+//   broadcast(message)          sends a signed message to the other validators
+class BFTEngine {
+  constructor(validatorSet, wallet, host, timeouts = {}) {
+    this.validatorSet = validatorSet;
+    this.wallet = wallet;
+    this.host = host;
+    this.timeouts = { ...DEFAULT_BFT_TIMEOUTS, ...timeouts };
+    this.running = false;
+    this.timers = new Set();
+    this.proposals = new Map(); // "height:round" -> proposal
+    this.votes = new Map();     // "height:round:type" -> Map validator -> vote
+    this.validity = new Map();  // block hash -> result of isValidProposal
+    this.height = -1;
+    this.round = 0;
+    this.step = 'propose';      // propose -> prevote -> precommit, then commit
+  }
+
+  start() {
+    if (!this.validatorSet.has(this.wallet.address)) {
+      throw new Error(`${this.wallet.address} is not in the validator set`);
+    }
+    this.running = true;
+    this.startHeight();
+  }
+
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  getState() {
+    return {
+      height: this.height,
+      round: this.round,
+      step: this.step,
+      lockedRound: this.lockedRound,
+      validRound: this.validRound,
+      proposer: this.validatorSet.getProposer(this.height, this.round),
+      validators: this.validatorSet.addresses,
+      quorum: this.validatorSet.getQuorum()
+    };
+  }
+
+  schedule(delay, callback) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.running) callback();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  getTimeout(step, round) {
+    return this.timeouts[step] + round * this.timeouts.delta;
+  }
+
+  // Follows the chain when it moved on without us (e.g. a committed block arrived over the network)
+  syncHeight() {
+    if (this.running && this.step !== 'commit' && this.host.getHeight() !== this.height) {
+      this.startHeight();
+    }
+  }
+
+  startHeight() {
+    this.height = this.host.getHeight();
+    this.lockedBlock = null;
+    this.lockedRound = -1;
+    this.validBlock = null;
+    this.validRound = -1;
+    this.fired = new Set();
+    this.validity.clear();
+
+    // Messages for this height may already have arrived; older ones are useless now
+    const minHeight = this.height;
+    [this.proposals, this.votes].forEach(map => map.forEach((value, key) => {
+      if (parseInt(key, 10) < minHeight) map.delete(key);
+    }));
+
+    this.startRound(0);
+  }
+
+  startRound(round) {
+    this.round = round;
+    this.step = 'propose';
+    const { height } = this;
+
+    if (this.validatorSet.getProposer(height, round) === this.wallet.address) {
+      const block = this.validBlock || this.host.createBlock(height, round);
+      if (block) {
+        this.send({ type: BFT_MESSAGES.PROPOSAL, height, round, validRound: this.validRound, block });
+      }
+    }
+
+    this.schedule(this.getTimeout('propose', round), () => {
+      if (this.height === height && this.round === round && this.step === 'propose') {
+        this.castVote(BFT_MESSAGES.PREVOTE, null);
+      }
+    });
+    this.evaluate();
+  }
+
+  // Signs, records and broadcasts our own message
+  send(message) {
+    const signed = signMessage(message, this.wallet);
+    this.host.broadcast(signed);
+    this.handleMessage(signed);
+  }
+
+  castVote(type, blockHash) {
+    this.step = type === BFT_MESSAGES.PREVOTE ? 'prevote' : 'precommit';
+    this.send({ type, height: this.height, round: this.round, blockHash });
+  }
+
+  // Returns true when the message was new and valid, i.e. worth relaying
+  handleMessage(message) {
+    this.syncHeight();
+
+    if (!this.running || !message || message.height < this.height || message.height > this.height + 1 ||
+        !this.validatorSet.verifyMessage(message)) {
+      return false;
+    }
+
+    if (message.type === BFT_MESSAGES.PROPOSAL) {
+      if (!this.recordProposal(message)) return false;
+    } else if (message.type === BFT_MESSAGES.PREVOTE || message.type === BFT_MESSAGES.PRECOMMIT) {
+      if (!this.recordVote(message)) return false;
+    } else {
+      return false;
+    }
+
+    this.evaluate();
+    return true;
+  }
+
+  recordProposal(proposal) {
+    const key = `${proposal.height}:${proposal.round}`;
+    const { block } = proposal;
+
+    if (this.proposals.has(key) ||
+        proposal.validator !== this.validatorSet.getProposer(proposal.height, proposal.round) ||
+        block.index !== proposal.height ||
+        !Number.isInteger(proposal.validRound) || proposal.validRound >= proposal.round) {
+      return false;
+    }
+
+    // A new block is built by this round's proposer; a re-proposed one by the proposer of
+    // the round it was built in, no later than the round it gathered its prevotes in
+    const builtInRound = proposal.validRound === -1 ? block.round === proposal.round :
+      Number.isInteger(block.round) && block.round <= proposal.validRound;
+    if (!builtInRound || block.validator !== this.validatorSet.getProposer(proposal.height, block.round)) {
+      return false;
+    }
+
+    this.proposals.set(key, proposal);
+    return true;
+  }
+
+  // One vote per validator, type and round; a conflicting second vote is ignored
+  recordVote(vote) {
+    const key = `${vote.height}:${vote.round}:${vote.type}`;
+    if (!this.votes.has(key)) {
+      this.votes.set(key, new Map());
+    }
+
+    const votes = this.votes.get(key);
+    if (votes.has(vote.validator)) {
+      return false;
+    }
+    votes.set(vote.validator, vote);
+    return true;
+  }
+
+  getVotes(type, round, height = this.height) {
+    return Array.from((this.votes.get(`${height}:${round}:${type}`) || new Map()).values());
+  }
+
+  countVotes(type, round, blockHash) {
+    return this.getVotes(type, round).filter(vote => vote.blockHash === blockHash).length;
+  }
+
+  isValid(block) {
+    if (!this.validity.has(block.hash)) {
+      this.validity.set(block.hash, this.host.isValidProposal(block));
+    }
+    return this.validity.get(block.hash);
+  }
+
+  // Runs each rule at most once per round
+  once(rule, round = this.round) {
+    const key = `${rule}:${round}`;
+    if (this.fired.has(key)) return false;
+    this.fired.add(key);
+    return true;
+  }
+
+  // Applies the first rule whose conditions hold. Every action records our own message, which
+  // re-enters evaluate(), so returning after an action is enough to reach a fixed point
+  evaluate() {
+    if (!this.running || this.step === 'commit') {
+      return;
+    }
+
+    const quorum = this.validatorSet.getQuorum();
+    const { height, round } = this;
+
+    // Commit: a quorum of precommits for a proposed block in any round
+    for (const proposal of this.proposals.values()) {
+      if (proposal.height === height &&
+          this.countVotes(BFT_MESSAGES.PRECOMMIT, proposal.round, proposal.block.hash) >= quorum &&
+          this.isValid(proposal.block)) {
+        this.commit(proposal);
+        return;
+      }
+    }
+
+    // Round skip: more than f validators are already in a later round
+    const laterRounds = new Map();
+    this.votes.forEach((votes, key) => {
+      const [voteHeight, voteRound] = key.split(':').map(Number);
+      if (voteHeight === height && voteRound > round) {
+        const validators = laterRounds.get(voteRound) || new Set();
+        votes.forEach((vote, validator) => validators.add(validator));
+        laterRounds.set(voteRound, validators);
+      }
+    });
+    for (const [laterRound, validators] of laterRounds) {
+      if (validators.size > this.validatorSet.getMaxFaulty()) {
+        this.startRound(laterRound);
+        return;
+      }
+    }
+
+    const proposal = this.proposals.get(`${height}:${round}`);
+    const hash = proposal && proposal.block.hash;
+
+    // Prevote the proposal unless we are locked on a different block
+    if (proposal && this.step === 'propose') {
+      if (proposal.validRound === -1) {
+        const acceptable = this.lockedRound === -1 || this.lockedBlock.hash === hash;
+        this.castVote(BFT_MESSAGES.PREVOTE, acceptable && this.isValid(proposal.block) ? hash : null);
+        return;
+      }
+      // A re-proposal of a block that had a quorum of prevotes in an earlier round
+      if (this.countVotes(BFT_MESSAGES.PREVOTE, proposal.validRound, hash) >= quorum) {
+        const acceptable = this.lockedRound <= proposal.validRound || this.lockedBlock.hash === hash;
+        this.castVote(BFT_MESSAGES.PREVOTE, acceptable && this.isValid(proposal.block) ? hash : null);
+        return;
+      }
+    }
+
+    // Polka: a quorum prevoted the proposal, so lock on it and precommit
+    if (proposal && this.step !== 'propose' &&
+        this.countVotes(BFT_MESSAGES.PREVOTE, round, hash) >= quorum &&
+        this.isValid(proposal.block) && this.once('polka')) {
+      this.validBlock = proposal.block;
+      this.validRound = round;
+      if (this.step === 'prevote') {
+        this.lockedBlock = proposal.block;
+        this.lockedRound = round;
+        this.castVote(BFT_MESSAGES.PRECOMMIT, hash);
+        return;
+      }
+    }
+
+    if (this.step === 'prevote') {
+      if (this.countVotes(BFT_MESSAGES.PREVOTE, round, null) >= quorum) {
+        this.castVote(BFT_MESSAGES.PRECOMMIT, null);
+        return;
+      }
+      if (this.getVotes(BFT_MESSAGES.PREVOTE, round).length >= quorum && this.once('prevoteTimeout')) {
+        this.schedule(this.getTimeout('prevote', round), () => {
+          if (this.height === height && this.round === round && this.step === 'prevote') {
+            this.castVote(BFT_MESSAGES.PRECOMMIT, null);
+          }
+        });
+      }
+    }
+
+    if (this.getVotes(BFT_MESSAGES.PRECOMMIT, round).length >= quorum && this.once('precommitTimeout')) {
+      this.schedule(this.getTimeout('precommit', round), () => {
+        if (this.height === height && this.round === round && this.step !== 'commit') {
+          this.startRound(round + 1);
+        }
+      });
+    }
+  }
+
+  commit(proposal) {
+    const { block, round } = proposal;
+    const precommits = this.getVotes(BFT_MESSAGES.PRECOMMIT, round).filter(vote => vote.blockHash === block.hash);
+    const committed = { ...block, commit: createCommitCertificate(this.height, round, block.hash, precommits) };
+
+    this.step = 'commit';
+    this.finishCommit(committed);
+  }
+
+  // The quorum has finalised the block, so voting stops at this height until we hold it too.
+  // If our chain cannot take it (e.g. it is missing state), resync and retry
+  finishCommit(block) {
+    if (this.host.getHeight() !== this.height || this.host.commitBlock(block)) {
+      this.schedule(this.timeouts.commit, () => this.startHeight());
+      return;
+    }
+
+    console.log(`BFT: block ${block.index} reached a commit quorum but could not be added; resyncing`);
+    this.host.resync();
+    this.schedule(this.timeouts.commit, () => this.finishCommit(block));
+  }
+}
+
+module.exports = {
+  BFT_MESSAGES,
+  DEFAULT_BFT_TIMEOUTS,
+  ValidatorSet,
+  BFTEngine,
+  signMessage,
+  createCommitCertificate,
+  verifyCommitCertificate
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { BFT_MESSAGES, ValidatorSet, BFTEngine } = require('./4D-BFT.js');
+const { createWallet } = require('./4D-Wallet.js');
+
+const TIMEOUTS = { propose: 100, prevote: 50, precommit: 50, delta: 20, commit: 1000 };
+
+// Validators on an in-memory network; `drop(message, from, to)` loses messages in transit
+function createNetwork(size, drop = () => false) {
+  const wallets = Array.from({ length: size }, () => createWallet());
+  const validatorSet = new ValidatorSet(wallets.map(wallet => wallet.publicKey));
+  const nodes = new Map();
+
+  wallets.forEach(wallet => {
+    const node = { committed: [] };
+    node.engine = new BFTEngine(validatorSet, wallet, {
+      getHeight: () => 1 + node.committed.length,
+      createBlock: (height, round) => ({
+        index: height,
+        round,
+        validator: wallet.address,
+        hash: crypto.createHash('sha256').update(`${wallet.address}:${height}:${round}`).digest('hex')
+      }),
+      isValidProposal: () => true,
+      commitBlock: block => {
+        node.committed.push(block);
+        return true;
+      },
+      resync: () => {},
+      broadcast: message => nodes.forEach((other, address) => {
+        if (address !== wallet.address && !drop(message, wallet.address, address)) {
+          setImmediate(() => other.engine.handleMessage(message));
+        }
+      })
+    }, TIMEOUTS);
+    nodes.set(wallet.address, node);
+  });
+
+  return { validatorSet, nodes };
+}
+
+test('a block that reached a polka in round 0 is re-proposed and committed in round 1', async () => {
+  // Addresses are sorted, so height 1 is proposed by [1] in round 0 and by [2] in round 1
+  let roles;
+  const { validatorSet, nodes } = createNetwork(4, (message, from, to) => {
+    const [cut, late] = roles;
+    if (message.round !== 0) return false;
+    // `late` never sees the round-0 proposal, so it prevotes and then precommits nil;
+    // `cut` is isolated from every precommit, so round 0 ends without a commit quorum
+    return (message.type === BFT_MESSAGES.PROPOSAL && to === late) ||
+      (message.type === BFT_MESSAGES.PRECOMMIT && (from === cut || to === cut));
+  });
+  const [late, firstProposer, , cut] = validatorSet.addresses;
+  roles = [cut, late];
+
+  nodes.forEach(node => node.engine.start());
+  try {
+    await new Promise((resolve, reject) => {
+      const deadline = Date.now() + 10000;
+      const poll = setInterval(() => {
+        if (Array.from(nodes.values()).every(node => node.committed.length > 0)) {
+          clearInterval(poll);
+          resolve();
+        } else if (Date.now() > deadline) {
+          clearInterval(poll);
+          reject(new Error('No block was committed'));
+        }
+      }, 10);
+    });
+  } finally {
+    nodes.forEach(node => node.engine.stop());
+  }
+
+  nodes.forEach(({ committed: [block] }) => {
+    assert.strictEqual(block.validator, firstProposer);
+    assert.strictEqual(block.round, 0);
+    assert.ok(block.commit.round >= 1);
+  });
+});
+
+test('a finalised block that fails to apply is retried after a resync, never replaced', async () => {
+  const wallet = createWallet();
+  const attempts = [];
+  let resyncs = 0;
+  let height = 1;
+
+  const engine = new BFTEngine(new ValidatorSet([wallet.publicKey]), wallet, {
+    getHeight: () => height,
+    createBlock: (index, round) => ({ index, round, validator: wallet.address, hash: `block-${index}-${round}` }),
+    isValidProposal: () => true,
+    // Missing state: the first two attempts fail
+    commitBlock: block => {
+      attempts.push(block);
+      if (attempts.length <= 2) return false;
+      height++;
+      return true;
+    },
+    resync: () => resyncs++,
+    broadcast: () => {}
+  }, { ...TIMEOUTS, commit: 20 });
+
+  engine.start();
+  try {
+    await new Promise(resolve => setTimeout(resolve, 200));
+  } finally {
+    engine.stop();
+  }
+
+  assert.strictEqual(resyncs, 2);
+  assert.deepStrictEqual(attempts.slice(0, 3).map(block => block.hash), ['block-1-0', 'block-1-0', 'block-1-0']);
+  assert.ok(height > 1);
+});
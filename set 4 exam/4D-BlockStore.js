@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encodeBlock, decodeBlock } = require('./4D-Serialization.js');
+
+// Record layout in blocks.dat: [4-byte length][4-byte checksum][payload]
+const RECORD_HEADER_SIZE = 8;
+// Entry layout in blocks.idx: [8-byte offset][4-byte length]
+const INDEX_ENTRY_SIZE = 12;
+
+function checksum(payload) {
+  return crypto.createHash('sha256').update(payload).digest().readUInt32BE(0);
+}
+
+// Write-then-rename so a crash never leaves a half-written file behind.
+// `mode` (e.g. 0o600 for keys) is set on the temp file, so the final file never has looser permissions
+function writeJsonAtomic(filePath, data, mode) {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w', mode);
+  try {
+    // A leftover temp file keeps its old mode when reopened
+    if (mode !== undefined) fs.fchmodSync(fd, mode);
+    fs.writeSync(fd, JSON.stringify(data));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Append-only block store with an offset index
+class BlockStore {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.dataPath = path.join(dataDir, 'blocks.dat');
+    this.indexPath = path.join(dataDir, 'blocks.idx');
+    this.syncBatchSize = options.syncBatchSize || 16;
+    this.syncIntervalMs = options.syncIntervalMs || 1000;
+    this.encode = options.encode || encodeBlock;
+    this.decode = options.decode || decodeBlock;
+    this.index = [];
+    this.unsyncedWrites = 0;
+    this.syncTimer = null;
+  }
+
+  // Returns every stored block, repairing a torn tail left by a crash
+  open() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.dataFd = fs.openSync(this.dataPath, fs.existsSync(this.dataPath) ? 'r+' : 'w+');
+
+    const { blocks, entries, validLength } = this.scan();
+    const fileLength = fs.fstatSync(this.dataFd).size;
+
+    if (validLength < fileLength) {
+      console.warn(`Block store: truncating ${fileLength - validLength} bytes of torn data`);
+      fs.ftruncateSync(this.dataFd, validLength);
+      fs.fsyncSync(this.dataFd);
+    }
+
+    this.index = entries;
+    if (!this.isIndexConsistent()) {
+      console.warn('Block store: index out of date, rebuilding');
+      this.rewriteIndex();
+    }
+    this.indexFd = fs.openSync(this.indexPath, 'a');
+    this.dataOffset = validLength;
+
+    this.syncTimer = setInterval(() => this.flush(), this.syncIntervalMs);
+    this.syncTimer.unref();
+
+    return blocks;
+  }
+
+  scan() {
+    const data = fs.readFileSync(this.dataPath);
+    const blocks = [];
+    const entries = [];
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_SIZE <= data.length) {
+      const length = data.readUInt32BE(offset);
+      const expectedChecksum = data.readUInt32BE(offset + 4);
+      const start = offset + RECORD_HEADER_SIZE;
+
+      if (start + length > data.length) {
+        break;
+      }
+
+      const payload = data.subarray(start, start + length);
+      if (checksum(payload) !== expectedChecksum) {
+        break;
+      }
+
+      // Only a short or checksum-failing record is a torn write. A complete record that does not
+      // decode was written in another format (e.g. an older version) and must not be truncated away
+      let block;
+      try {
+        block = this.decode(payload);
+      } catch (error) {
+        throw new Error(`Block store: record at offset ${offset} cannot be decoded: ${error.message}`);
+      }
+
+      blocks.push(block);
+      entries.push({ offset, length: RECORD_HEADER_SIZE + length });
+      offset = start + length;
+    }
+
+    return { blocks, entries, validLength: offset };
+  }
+
+  isIndexConsistent() {
+    if (!fs.existsSync(this.indexPath)) {
+      return this.index.length === 0;
+    }
+
+    const raw = fs.readFileSync(this.indexPath);
+    if (raw.length !== this.index.length * INDEX_ENTRY_SIZE) {
+      return false;
+    }
+
+    return this.index.every((entry, i) =>
+      Number(raw.readBigUInt64BE(i * INDEX_ENTRY_SIZE)) === entry.offset &&
+      raw.readUInt32BE(i * INDEX_ENTRY_SIZE + 8) === entry.length
+    );
+  }
+
+  rewriteIndex() {
+    const raw = Buffer.alloc(this.index.length * INDEX_ENTRY_SIZE);
+    this.index.forEach((entry, i) => {
+      raw.writeBigUInt64BE(BigInt(entry.offset), i * INDEX_ENTRY_SIZE);
+      raw.writeUInt32BE(entry.length, i * INDEX_ENTRY_SIZE + 8);
+    });
+
+    const tmpPath = `${this.indexPath}.tmp`;
+    fs.writeFileSync(tmpPath, raw);
+    fs.renameSync(tmpPath, this.indexPath);
+  }
+
+  append(block) {
+    const payload = this.encode(block);
+    const record = Buffer.alloc(RECORD_HEADER_SIZE + payload.length);
+    record.writeUInt32BE(payload.length, 0);
+    record.writeUInt32BE(checksum(payload), 4);
+    payload.copy(record, RECORD_HEADER_SIZE);
+
+    fs.writeSync(this.dataFd, record, 0, record.length, this.dataOffset);
+
+    const entry = Buffer.alloc(INDEX_ENTRY_SIZE);
+    entry.writeBigUInt64BE(BigInt(this.dataOffset), 0);
+    entry.writeUInt32BE(record.length, 8);
+    fs.writeSync(this.indexFd, entry);
+
+    this.index.push({ offset: this.dataOffset, length: record.length });
+    this.dataOffset += record.length;
+
+    // fsync in batches rather than per block
+    if (++this.unsyncedWrites >= this.syncBatchSize) {
+      this.flush();
+    }
+  }
+
+  // Drop every block from `height` onwards (used when the chain is replaced)
+  truncate(height) {
+    if (height >= this.index.length) {
+      return;
+    }
+
+    this.dataOffset = height === 0 ? 0 : this.index[height].offset;
+    this.index = this.index.slice(0, height);
+
+    fs.ftruncateSync(this.dataFd, this.dataOffset);
+    fs.fsyncSync(this.dataFd);
+
+    fs.closeSync(this.indexFd);
+    this.rewriteIndex();
+    this.indexFd = fs.openSync(this.indexPath, 'a');
+    this.unsyncedWrites = 0;
+  }
+
+  read(height) {
+    const entry = this.index[height];
+    if (!entry) {
+      return null;
+    }
+
+    const record = Buffer.alloc(entry.length);
+    fs.readSync(this.dataFd, record, 0, entry.length, entry.offset);
+    return this.decode(record.subarray(RECORD_HEADER_SIZE));
+  }
+
+  getHeight() {
+    return this.index.length;
+  }
+
+  flush() {
+    if (this.unsyncedWrites === 0) {
+      return;
+    }
+    fs.fsyncSync(this.dataFd);
+    fs.fsyncSync(this.indexFd);
+    this.unsyncedWrites = 0;
+  }
+
+  close() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+    this.flush();
+    fs.closeSync(this.dataFd);
+    fs.closeSync(this.indexFd);
+  }
+}
+
+module.exports = {
+  BlockStore,
+  writeJsonAtomic,
+  readJson
+};
@@ -0,0 +1,163 @@
+const { isUTXOTransaction } = require('./4D-UTXOSet.js');
+const { addressFromPublicKey } = require('./4D-Wallet.js');
+const { UNITS_PER_COIN } = require('./4D-Emission.js');
+
+// Explorer indexes over the canonical chain, kept in step as blocks are added or rolled back
+class ChainIndex {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
+    this.transactions = new Map(); // txId -> { blockIndex, blockHash, position }
+    this.addressHistory = new Map(); // address -> [{ txId, blockIndex, position }]
+    this.balances = new Map(); // address -> balance, as the ledger reports it; serves /api/balance
+    this.blockHashes = new Map(); // block hash -> block index
+  }
+
+  rebuild(chain) {
+    this.transactions.clear();
+    this.addressHistory.clear();
+    this.balances.clear();
+    this.blockHashes.clear();
+    chain.forEach(block => this.indexBlock(block));
+  }
+
+  // Balance changes a transaction causes, per address
+  getBalanceChanges(transaction) {
+    const changes = new Map();
+    const add = (address, amount) => changes.set(address, (changes.get(address) || 0) + amount);
+
+    if (isUTXOTransaction(transaction)) {
+      transaction.inputs.forEach(input => {
+        const spent = this.getTransaction(input.txId);
+        const output = spent && spent.transaction.outputs[input.outputIndex];
+        if (output) add(output.address, -output.amount);
+      });
+      transaction.outputs.forEach(output => add(output.address, output.amount));
+    } else if (transaction.type === 'UNSTAKE') {
+      add(transaction.from, transaction.amount - (transaction.fee || 0));
+    } else if (transaction.type !== 'SLASH') {
+      // Transfers, rewards and STAKE (which has no recipient: the amount moves into stake)
+      if (transaction.from) add(transaction.from, -transaction.amount - (transaction.fee || 0));
+      if (transaction.to) add(transaction.to, transaction.amount);
+    }
+
+    return changes;
+  }
+
+  // Fee paid by a confirmed transaction (zero for mining rewards)
+  getFee(transaction) {
+    if (!isUTXOTransaction(transaction)) {
+      return transaction.from ? transaction.fee || 0 : 0;
+    }
+
+    if (transaction.inputs.length === 0) {
+      return 0;
+    }
+
+    const inputTotal = transaction.inputs.reduce((sum, input) => {
+      const spent = this.getTransaction(input.txId);
+      const output = spent && spent.transaction.outputs[input.outputIndex];
+      return sum + (output ? output.amount : 0);
+    }, 0);
+
+    return inputTotal - transaction.outputs.reduce((sum, output) => sum + output.amount, 0);
+  }
+
+  getAddresses(transaction) {
+    const addresses = new Set(this.getBalanceChanges(transaction).keys());
+    if (transaction.publicKey) {
+      addresses.add(addressFromPublicKey(transaction.publicKey));
+    }
+    if (transaction.offender) {
+      addresses.add(transaction.offender);
+    }
+    return addresses;
+  }
+
+  indexBlock(block) {
+    this.blockHashes.set(block.hash, block.index);
+
+    block.transactions.forEach((transaction, position) => {
+      this.transactions.set(transaction.id, { blockIndex: block.index, blockHash: block.hash, position });
+
+      this.getBalanceChanges(transaction).forEach((amount, address) => this.addBalance(address, amount));
+
+      this.getAddresses(transaction).forEach(address => {
+        if (!this.addressHistory.has(address)) {
+          this.addressHistory.set(address, []);
+        }
+        this.addressHistory.get(address).push({ txId: transaction.id, blockIndex: block.index, position });
+      });
+    });
+  }
+
+  // Must run while the block is still part of blockchain.chain (spent outputs are looked up there)
+  unindexBlock(block) {
+    for (let position = block.transactions.length - 1; position >= 0; position--) {
+      const transaction = block.transactions[position];
+
+      this.getBalanceChanges(transaction).forEach((amount, address) => this.addBalance(address, -amount));
+
+      this.getAddresses(transaction).forEach(address => {
+        const history = (this.addressHistory.get(address) || [])
+          .filter(entry => entry.blockIndex !== block.index);
+        if (history.length === 0) {
+          this.addressHistory.delete(address);
+        } else {
+          this.addressHistory.set(address, history);
+        }
+      });
+
+      this.transactions.delete(transaction.id);
+    }
+
+    this.blockHashes.delete(block.hash);
+  }
+
+  // Rounded to whole units like the ledger, so adding and removing a block leaves no float residue
+  addBalance(address, amount) {
+    const balance = Math.round(((this.balances.get(address) || 0) + amount) * UNITS_PER_COIN) / UNITS_PER_COIN;
+    if (balance === 0) {
+      this.balances.delete(address);
+    } else {
+      this.balances.set(address, balance);
+    }
+  }
+
+  getTransaction(txId) {
+    const location = this.transactions.get(txId);
+    if (!location) return null;
+
+    const block = this.blockchain.chain[location.blockIndex];
+    return {
+      ...location,
+      transaction: block.transactions[location.position],
+      confirmations: this.blockchain.chain.length - location.blockIndex
+    };
+  }
+
+  // Newest first
+  getAddressTransactions(address, { page = 1, limit = 20 } = {}) {
+    const history = this.addressHistory.get(address) || [];
+    const start = Math.max(history.length - page * limit, 0);
+    const end = Math.max(history.length - (page - 1) * limit, 0);
+
+    return {
+      address,
+      total: history.length,
+      page,
+      limit,
+      transactions: history.slice(start, end).reverse().map(entry => this.getTransaction(entry.txId))
+    };
+  }
+
+  getBalance(address) {
+    return this.balances.get(address) || 0;
+  }
+
+  getBlockByHash(hash) {
+    const blockIndex = this.blockHashes.get(hash);
+    return blockIndex === undefined ? null : this.blockchain.chain[blockIndex];
+  }
+}
+
+module.exports = { ChainIndex };
@@ -0,0 +1,326 @@
+// Headers-first block download for P2PServer.
+//
+//   1. Ask the best peer for headers after our block locator (GET_HEADERS), page by page,
+//      checking that they link up and carry valid proof (work, signature or commit certificate).
+//   2. Split the missing range into batches and fetch the bodies (GET_BLOCKS) from several peers
+//      in parallel. Requests that time out or come back wrong are retried on another peer.
+//   3. Connect bodies in header order: straight onto the tip, or as a reorg once the downloaded
+//      part of the branch has more work than our chain.
+//
+// Downloaded headers and bodies survive peer disconnects, so sync resumes where it stopped.
+
+const SYNC_DEFAULTS = {
+  batchSize: 50,         // blocks per body request (MAX_BLOCKS_PER_MESSAGE)
+  maxHeaders: 2000,      // headers per response (MAX_HEADERS_PER_MESSAGE)
+  maxInFlightPerPeer: 2, // body requests outstanding per peer
+  requestTimeout: 15000, // ms
+  maxAttempts: 3         // per batch, before the branch is abandoned
+};
+
+class ChainSync {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.blockchain = server.blockchain;
+    this.options = { ...SYNC_DEFAULTS, ...options };
+    this.headers = [];          // validated headers not yet on our chain, in order
+    this.bodies = new Map();    // hash -> downloaded block waiting to be connected
+    this.queue = [];            // batches of headers whose bodies still need requesting
+    this.requests = new Map();  // batch stop hash -> { peerId, batch, timer }
+    this.headerRequest = null;  // { peerId, timer } while a header page is outstanding
+    this.branchPeerId = null;   // peer whose headers we are following
+  }
+
+  isSyncing() {
+    return this.headerRequest !== null || this.headers.length > 0;
+  }
+
+  getStatus() {
+    const lastHeader = this.headers[this.headers.length - 1];
+    return {
+      syncing: this.isSyncing(),
+      height: this.blockchain.getLatestBlock().index,
+      targetHeight: lastHeader ? lastHeader.index : this.blockchain.getLatestBlock().index,
+      pendingHeaders: this.headers.length,
+      downloadedBodies: this.bodies.size,
+      requestsInFlight: this.requests.size,
+      headerPeer: this.headerRequest && this.headerRequest.peerId
+    };
+  }
+
+  getBestKnownHeight() {
+    const lastHeader = this.headers[this.headers.length - 1];
+    return lastHeader ? lastHeader.index : this.blockchain.getLatestBlock().index;
+  }
+
+  // Peers that finished the handshake, optionally filtered
+  getPeers(filter = () => true) {
+    return Array.from(this.server.peers.values()).filter(peer => peer.handshakeComplete && filter(peer));
+  }
+
+  // Starts or resumes header download from the peer with the best chain ahead of what we know
+  start() {
+    if (this.headerRequest) {
+      return;
+    }
+
+    const [peer] = this.getPeers(peer => peer.bestHeight > this.getBestKnownHeight())
+      .sort((a, b) => b.bestHeight - a.bestHeight);
+    if (peer) {
+      this.requestHeaders(peer);
+    }
+    this.scheduleDownloads();
+  }
+
+  requestHeaders(peer) {
+    const lastHeader = this.headers[this.headers.length - 1];
+    const locator = this.blockchain.getBlockLocator();
+
+    const timer = setTimeout(() => {
+      console.log(`Header request to ${peer.address} timed out`);
+      this.headerRequest = null;
+      this.start();
+    }, this.options.requestTimeout);
+    timer.unref();
+
+    this.headerRequest = { peerId: peer.id, timer };
+    this.server.sendToPeer(peer.socket, {
+      type: 'GET_HEADERS',
+      locator: lastHeader ? [lastHeader.hash, ...locator] : locator,
+      stopHash: null
+    });
+  }
+
+  // Returns false for unsolicited headers
+  handleHeaders(headers, peerId) {
+    if (!this.headerRequest || this.headerRequest.peerId !== peerId) {
+      return false;
+    }
+    clearTimeout(this.headerRequest.timer);
+    this.headerRequest = null;
+
+    const peer = this.server.peers.get(peerId);
+    if (headers.length === 0) {
+      // Nothing beyond what we know: the peer's advertised height was stale
+      if (peer) peer.bestHeight = Math.min(peer.bestHeight, this.getBestKnownHeight());
+      this.finishIfDone();
+      return true;
+    }
+
+    // Checked before any field is read, so malformed headers cannot throw and stall the sync
+    const valid = headers.every((header, i) =>
+      this.blockchain.isValidHeader(header) && (i === 0 || header.previousHash === headers[i - 1].hash)
+    );
+    if (!valid) {
+      this.abandon(`invalid headers from ${peerId}`, peerId);
+      this.server.misbehaving(peerId, 'INVALID_HEADERS');
+      return true;
+    }
+
+    const lastHeader = this.headers[this.headers.length - 1];
+    if (!lastHeader || headers[0].previousHash !== lastHeader.hash) {
+      // A new branch (or the peer reorganized): it has to build on a block we have
+      if (!this.blockchain.chainIndex.blockHashes.has(headers[0].previousHash)) {
+        this.abandon(`headers from ${peerId} do not connect to our chain`, peerId);
+        return true;
+      }
+      this.reset();
+    }
+
+    this.branchPeerId = peerId;
+    this.headers.push(...headers);
+    for (let i = 0; i < headers.length; i += this.options.batchSize) {
+      this.queue.push(headers.slice(i, i + this.options.batchSize));
+    }
+
+    if (headers.length >= this.options.maxHeaders && peer) {
+      // A full page means there are more
+      peer.bestHeight = Math.max(peer.bestHeight, headers[headers.length - 1].index);
+      this.requestHeaders(peer);
+    } else if (peer) {
+      peer.bestHeight = headers[headers.length - 1].index;
+    }
+    this.scheduleDownloads();
+    return true;
+  }
+
+  // Hands queued batches to peers with spare capacity, preferring peers that have not failed the batch
+  scheduleDownloads() {
+    const inFlight = new Map();
+    this.requests.forEach(({ peerId }) => inFlight.set(peerId, (inFlight.get(peerId) || 0) + 1));
+
+    while (this.queue.length > 0) {
+      const batch = this.queue[0];
+      const last = batch[batch.length - 1];
+      const candidates = this.getPeers(peer =>
+        peer.bestHeight >= last.index && (inFlight.get(peer.id) || 0) < this.options.maxInFlightPerPeer
+      ).sort((a, b) => (inFlight.get(a.id) || 0) - (inFlight.get(b.id) || 0));
+      const peer = candidates.find(p => !(batch.failedPeers && batch.failedPeers.has(p.id))) || candidates[0];
+      if (!peer) {
+        return;
+      }
+
+      this.queue.shift();
+      inFlight.set(peer.id, (inFlight.get(peer.id) || 0) + 1);
+      this.requestBodies(peer, batch);
+    }
+  }
+
+  requestBodies(peer, batch) {
+    const stopHash = batch[batch.length - 1].hash;
+    const timer = setTimeout(() => {
+      console.log(`Block request to ${peer.address} timed out`);
+      this.retry(stopHash);
+    }, this.options.requestTimeout);
+    timer.unref();
+
+    this.requests.set(stopHash, { peerId: peer.id, batch, timer });
+    this.server.sendToPeer(peer.socket, {
+      type: 'GET_BLOCKS',
+      locator: [batch[0].previousHash],
+      stopHash
+    });
+  }
+
+  // Puts a failed request back at the front of the queue, remembering which peer failed it.
+  // Disconnects do not count as failed attempts
+  retry(stopHash, failed = true) {
+    const request = this.requests.get(stopHash);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.requests.delete(stopHash);
+    request.batch.failedPeers = request.batch.failedPeers || new Set();
+    request.batch.failedPeers.add(request.peerId);
+    request.batch.attempts = (request.batch.attempts || 0) + (failed ? 1 : 0);
+    if (request.batch.attempts >= this.options.maxAttempts) {
+      this.abandon(`no peer delivered blocks ${request.batch[0].index}-${request.batch[request.batch.length - 1].index}`);
+      return;
+    }
+    this.queue.unshift(request.batch);
+    this.scheduleDownloads();
+  }
+
+  // Returns false when the blocks were not a response to one of our body requests
+  handleBlocks(blocks, stopHash, peerId) {
+    const request = this.requests.get(stopHash);
+    if (!request || request.peerId !== peerId) {
+      return false;
+    }
+
+    // Each body must hash to the header we asked for
+    const { batch } = request;
+    const matches = blocks.length === batch.length && blocks.every((block, i) =>
+      block && block.hash === batch[i].hash && this.blockchain.calculateHash(block) === block.hash
+    );
+    if (!matches) {
+      console.log(`Blocks from ${peerId} do not match the requested headers`);
+      this.retry(stopHash);
+      this.server.misbehaving(peerId, 'INVALID_MESSAGE');
+      return true;
+    }
+
+    clearTimeout(request.timer);
+    this.requests.delete(stopHash);
+    blocks.forEach(block => this.bodies.set(block.hash, block));
+
+    this.connectBodies();
+    this.scheduleDownloads();
+    return true;
+  }
+
+  connectBodies() {
+    const { blockHashes } = this.blockchain.chainIndex;
+
+    // Blocks that reached us another way (e.g. gossip) are done
+    while (this.headers.length > 0 && blockHashes.has(this.headers[0].hash)) {
+      this.bodies.delete(this.headers.shift().hash);
+    }
+
+    while (this.headers.length > 0 && this.bodies.has(this.headers[0].hash)) {
+      const tip = this.blockchain.getLatestBlock();
+
+      if (this.headers[0].previousHash === tip.hash) {
+        const block = this.bodies.get(this.headers[0].hash);
+        if (!this.server.processBlock(block)) {
+          this.abandon(`synced block ${block.index} is invalid`);
+          return;
+        }
+        this.bodies.delete(this.headers.shift().hash);
+        continue;
+      }
+
+      // The branch forks below our tip: switch once its downloaded part has more work
+      let run = 0;
+      while (run < this.headers.length && this.bodies.has(this.headers[run].hash)) run++;
+      const branch = this.headers.slice(0, run).map(header => this.bodies.get(header.hash));
+      const forkHeight = blockHashes.get(branch[0].previousHash);
+      if (forkHeight === undefined) {
+        this.reset(); // our chain moved away from the branch point
+        return;
+      }
+
+      const candidate = this.blockchain.chain.slice(0, forkHeight + 1).concat(branch);
+      if (this.blockchain.getChainWork(candidate) <= this.blockchain.getChainWork()) {
+        if (run === this.headers.length && !this.headerRequest) {
+          this.abandon('synced branch does not have more work than our chain');
+        }
+        return; // wait for more of the branch
+      }
+
+      if (!this.server.adoptChain(candidate)) {
+        this.abandon('synced branch is invalid');
+        return;
+      }
+      branch.forEach(block => this.bodies.delete(this.headers.shift().hash));
+    }
+
+    this.finishIfDone();
+  }
+
+  finishIfDone() {
+    if (this.headers.length === 0 && !this.headerRequest) {
+      this.reset();
+      // Someone may have announced a better chain meanwhile
+      if (this.getPeers(peer => peer.bestHeight > this.blockchain.getLatestBlock().index).length > 0) {
+        this.start();
+      } else {
+        this.server.emit('syncComplete', this.blockchain.getLatestBlock().index);
+      }
+    }
+  }
+
+  // Drops the branch and stops chasing the peer that offered it until it announces something new
+  abandon(reason, peerId = this.branchPeerId) {
+    console.log(`Sync: ${reason}, abandoning this branch`);
+    const peer = peerId && this.server.peers.get(peerId);
+    if (peer) {
+      peer.bestHeight = this.blockchain.getLatestBlock().index;
+    }
+    this.reset();
+    this.start();
+  }
+
+  reset() {
+    this.requests.forEach(request => clearTimeout(request.timer));
+    this.requests.clear();
+    this.queue = [];
+    this.headers = [];
+    this.bodies.clear();
+    this.branchPeerId = null;
+  }
+
+  // Requests to a disconnected peer go to others; header download moves to another peer
+  handlePeerDisconnected(peerId) {
+    Array.from(this.requests.entries())
+      .filter(([, request]) => request.peerId === peerId)
+      .forEach(([stopHash]) => this.retry(stopHash, false));
+
+    if (this.headerRequest && this.headerRequest.peerId === peerId) {
+      clearTimeout(this.headerRequest.timer);
+      this.headerRequest = null;
+      this.start();
+    }
+  }
+}
+
+module.exports = { ChainSync, SYNC_DEFAULTS };
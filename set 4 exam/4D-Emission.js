@@ -0,0 +1,71 @@
+// Block reward schedule. Amounts are plain numbers elsewhere; the schedule works in
+// integer base units so halvings and the supply cap stay exact.
+const UNITS_PER_COIN = 1e8;
+
+const DEFAULT_EMISSION_PARAMS = {
+  initialSubsidy: 10,    // coins per block before the first halving
+  halvingInterval: 1000, // blocks between halvings
+  maxSupply: 20000,      // coins; no subsidy is paid beyond this
+  coinbaseMaturity: 10   // blocks before a reward can be spent
+};
+
+const MAX_HALVINGS = 52; // the subsidy has rounded down to zero units by then
+
+function toUnits(amount) {
+  return Math.round(amount * UNITS_PER_COIN);
+}
+
+function sameAmount(a, b) {
+  return toUnits(a) === toUnits(b);
+}
+
+// Per-block subsidy of an era, before the supply cap
+function eraSubsidyUnits(era, params) {
+  return era > MAX_HALVINGS ? 0 : Math.floor(toUnits(params.initialSubsidy) / 2 ** era);
+}
+
+// Units paid by blocks 1..height (genesis pays nothing), capped at the maximum supply
+function issuedUnits(height, params) {
+  let issued = 0;
+
+  for (let era = 0; era * params.halvingInterval <= height; era++) {
+    const perBlock = eraSubsidyUnits(era, params);
+    if (perBlock === 0) break;
+
+    const first = Math.max(era * params.halvingInterval, 1);
+    const last = Math.min((era + 1) * params.halvingInterval - 1, height);
+    issued += perBlock * Math.max(last - first + 1, 0);
+  }
+
+  return Math.min(issued, toUnits(params.maxSupply));
+}
+
+function getIssuedSupply(height, params = DEFAULT_EMISSION_PARAMS) {
+  return issuedUnits(height, params) / UNITS_PER_COIN;
+}
+
+function getBlockSubsidy(height, params = DEFAULT_EMISSION_PARAMS) {
+  if (height < 1) {
+    return 0;
+  }
+  return (issuedUnits(height, params) - issuedUnits(height - 1, params)) / UNITS_PER_COIN;
+}
+
+function getNextHalvingHeight(height, params = DEFAULT_EMISSION_PARAMS) {
+  return (Math.floor(height / params.halvingInterval) + 1) * params.halvingInterval;
+}
+
+// A reward created at `rewardHeight` can be spent from block rewardHeight + coinbaseMaturity on
+function isMature(rewardHeight, spendHeight, params = DEFAULT_EMISSION_PARAMS) {
+  return spendHeight - rewardHeight >= params.coinbaseMaturity;
+}
+
+module.exports = {
+  DEFAULT_EMISSION_PARAMS,
+  UNITS_PER_COIN,
+  sameAmount,
+  getBlockSubsidy,
+  getIssuedSupply,
+  getNextHalvingHeight,
+  isMature
+};
@@ -0,0 +1,377 @@
+// Kademlia-style peer discovery for P2PServer.
+//
+// Node ids are 256-bit hashes of node keys and the distance between two nodes is their XOR.
+// Bucket i of the routing table holds up to K contacts whose distance from us has its highest
+// set bit at position i. Contacts come from handshakes and from FIND_NODE queries sent over
+// existing connections; outbound connections are spread across buckets, so a cluster of
+// attacker ids close to each other cannot take every outbound slot.
+
+const crypto = require('crypto');
+
+const ID_BITS = 256;
+const NODE_ID_PATTERN = /^[0-9a-f]{64}$/;
+const MAX_ADDRESS_LENGTH = 256;
+
+const DISCOVERY_DEFAULTS = {
+  k: 20,                           // contacts per bucket, and per NODES reply
+  alpha: 3,                        // peers asked per lookup, and bucket refreshes per tick
+  queryTimeout: 5000,              // ms to wait for NODES
+  dialTimeout: 10000,              // ms an unanswered dial holds an outbound slot
+  refreshInterval: 15 * 60 * 1000, // buckets without a lookup for this long are refreshed
+  maintenanceInterval: 30000       // ms between refresh and outbound top-ups
+};
+
+function isValidNodeId(nodeId) {
+  return typeof nodeId === 'string' && NODE_ID_PATTERN.test(nodeId);
+}
+
+// A ws:// or wss:// URL that WebSocket can dial: parseable, with a host, a port in range and no fragment
+function isValidAddress(address) {
+  if (typeof address !== 'string' || address.length > MAX_ADDRESS_LENGTH) {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(address);
+  } catch (error) {
+    return false;
+  }
+  const port = url.port === '' ? null : Number(url.port);
+  return (url.protocol === 'ws:' || url.protocol === 'wss:') && url.hostname !== '' && url.hash === '' &&
+    (port === null || (port >= 1 && port <= 65535));
+}
+
+function isValidContact(contact) {
+  return Boolean(contact) && isValidNodeId(contact.nodeId) && isValidAddress(contact.address);
+}
+
+function xorDistance(a, b) {
+  return BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+}
+
+// Position of the highest differing bit: 255 for the farthest half of the id space, -1 for our own id
+function bucketIndex(selfId, nodeId) {
+  const distance = xorDistance(selfId, nodeId);
+  return distance === 0n ? -1 : distance.toString(2).length - 1;
+}
+
+// Random id that falls into bucket `index` of `selfId`
+function randomIdInBucket(selfId, index) {
+  const random = BigInt(`0x${crypto.randomBytes(32).toString('hex')}`);
+  const distance = (1n << BigInt(index)) | (random & ((1n << BigInt(index)) - 1n));
+  return (BigInt(`0x${selfId}`) ^ distance).toString(16).padStart(64, '0');
+}
+
+class RoutingTable {
+  constructor(selfId, k = DISCOVERY_DEFAULTS.k) {
+    this.selfId = selfId;
+    this.k = k;
+    const now = Date.now();
+    // Contacts are kept least recently seen first; a full bucket parks newcomers as replacements
+    this.buckets = Array.from({ length: ID_BITS }, () => ({ contacts: [], replacements: [], lastLookup: now }));
+  }
+
+  get size() {
+    return this.buckets.reduce((sum, bucket) => sum + bucket.contacts.length, 0);
+  }
+
+  getBucket(nodeId) {
+    const index = bucketIndex(this.selfId, nodeId);
+    return index < 0 ? null : this.buckets[index];
+  }
+
+  getContacts() {
+    return this.buckets.flatMap(bucket => bucket.contacts);
+  }
+
+  findByAddress(address) {
+    return this.getContacts().find(contact => contact.address === address) || null;
+  }
+
+  // `verified` contacts were reached at their address and proved their node id in the handshake.
+  // Unverified ones (from NODES replies) never overwrite what we know, and one address cannot be
+  // claimed by several ids. Returns false when the contact was not put in its bucket
+  add(contact, verified = false, now = Date.now()) {
+    if (!isValidContact(contact)) return false;
+    const bucket = this.getBucket(contact.nodeId);
+    if (!bucket) return false;
+
+    if (!verified && bucket.contacts.some(c => c.nodeId === contact.nodeId)) {
+      return true;
+    }
+    const owner = this.findByAddress(contact.address);
+    if (owner && owner.nodeId !== contact.nodeId) {
+      if (!verified) return false;
+      this.remove(owner.nodeId);
+    }
+
+    const entry = { nodeId: contact.nodeId, address: contact.address, lastSeen: verified ? now : null };
+    const position = bucket.contacts.findIndex(c => c.nodeId === contact.nodeId);
+    if (position >= 0) {
+      bucket.contacts.splice(position, 1);
+      bucket.contacts.push(entry);
+      return true;
+    }
+    if (bucket.contacts.length < this.k) {
+      bucket.contacts.push(entry);
+      return true;
+    }
+
+    // Full: long-lived contacts are the most likely to stay up, so they keep their place
+    bucket.replacements = bucket.replacements
+      .filter(c => c.nodeId !== contact.nodeId)
+      .concat(entry)
+      .slice(-this.k);
+    return false;
+  }
+
+  // Drops a contact and promotes the newest replacement in its place
+  remove(nodeId) {
+    const bucket = this.getBucket(nodeId);
+    if (!bucket) return;
+
+    const position = bucket.contacts.findIndex(c => c.nodeId === nodeId);
+    if (position < 0) {
+      bucket.replacements = bucket.replacements.filter(c => c.nodeId !== nodeId);
+      return;
+    }
+    bucket.contacts.splice(position, 1);
+    if (bucket.replacements.length > 0) {
+      bucket.contacts.push(bucket.replacements.pop());
+    }
+  }
+
+  closest(target, count = this.k) {
+    return this.getContacts()
+      .map(contact => ({ contact, distance: xorDistance(contact.nodeId, target) }))
+      .sort((a, b) => (a.distance < b.distance ? -1 : a.distance > b.distance ? 1 : 0))
+      .slice(0, count)
+      .map(({ contact }) => contact);
+  }
+
+  markLookup(target, now = Date.now()) {
+    const bucket = this.getBucket(target);
+    if (bucket) bucket.lastLookup = now;
+  }
+
+  // Buckets from our nearest neighbour outwards that have not seen a lookup for `interval`, stalest first.
+  // Nearer buckets are covered by looking up our own id
+  getStaleBuckets(interval, now = Date.now()) {
+    const nearest = this.buckets.findIndex(bucket => bucket.contacts.length > 0);
+    if (nearest < 0) return [];
+
+    const stale = [];
+    for (let index = nearest; index < ID_BITS; index++) {
+      if (now - this.buckets[index].lastLookup >= interval) stale.push(index);
+    }
+    return stale.sort((a, b) => this.buckets[a].lastLookup - this.buckets[b].lastLookup);
+  }
+}
+
+// Discovery over P2PServer connections. Lookups only reach connected peers, so each one is a
+// single hop; the walk continues as newly dialed peers are asked for the nodes nearest to us
+class Discovery {
+  constructor(server, options = {}) {
+    this.server = server;
+    this.options = { ...DISCOVERY_DEFAULTS, ...options };
+    this.table = new RoutingTable(server.nodeId, this.options.k);
+    this.bootstrapNodes = options.bootstrapNodes || [];
+    this.queries = new Map(); // `${peerId}:${target}` -> timeout
+    this.dialing = new Map(); // address -> time we dialed it
+    this.timer = null;
+  }
+
+  // Dials the bootstrap nodes (then `fallback`, e.g. peers remembered from the last run) and keeps
+  // the table and outbound connections topped up
+  start(fallback = []) {
+    this.bootstrap(fallback);
+    this.timer = setInterval(() => this.maintain(fallback), this.options.maintenanceInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.queries.forEach(timer => clearTimeout(timer));
+    this.queries.clear();
+  }
+
+  getStatus() {
+    return {
+      nodeId: this.table.selfId,
+      contacts: this.table.size,
+      buckets: this.table.buckets
+        .map((bucket, index) => ({ index, contacts: bucket.contacts.length, replacements: bucket.replacements.length }))
+        .filter(bucket => bucket.contacts > 0),
+      pendingQueries: this.queries.size,
+      dialing: this.dialing.size
+    };
+  }
+
+  getPeers(filter = () => true) {
+    return Array.from(this.server.peers.values()).filter(peer => peer.handshakeComplete && filter(peer));
+  }
+
+  getFreeOutboundSlots() {
+    const now = Date.now();
+    this.dialing.forEach((dialedAt, address) => {
+      if (now - dialedAt > this.options.dialTimeout) this.dialing.delete(address);
+    });
+    return this.server.peerManager.policy.maxOutbound -
+      this.server.getConnectionCounts().outbound - this.dialing.size;
+  }
+
+  dial(address) {
+    this.dialing.set(address, Date.now());
+    this.server.connectToPeer(address);
+  }
+
+  canDial(contact) {
+    return !this.dialing.has(contact.address) &&
+      !this.server.selfAddresses.has(contact.address) &&
+      !this.server.isPeerConnected(contact.address, contact.nodeId) &&
+      !this.server.peerManager.isBanned({ nodeId: contact.nodeId, listenAddress: contact.address });
+  }
+
+  bootstrap(fallback = []) {
+    const addresses = [...new Set([...this.bootstrapNodes, ...fallback])]
+      .filter(address => this.canDial({ address }));
+    addresses.slice(0, Math.max(this.getFreeOutboundSlots(), 0)).forEach(address => this.dial(address));
+  }
+
+  maintain(fallback = []) {
+    if (this.getPeers().length === 0 && this.table.size === 0) {
+      this.bootstrap(fallback);
+      return;
+    }
+    this.refresh();
+    this.fillOutbound();
+  }
+
+  // Looks up a random id in the stalest buckets, a few per tick
+  refresh() {
+    this.table.getStaleBuckets(this.options.refreshInterval)
+      .slice(0, this.options.alpha)
+      .forEach(index => this.lookup(randomIdInBucket(this.table.selfId, index)));
+  }
+
+  lookup(target) {
+    this.table.markLookup(target);
+    this.getPeers()
+      .sort((a, b) => {
+        const distanceA = xorDistance(a.nodeId, target);
+        const distanceB = xorDistance(b.nodeId, target);
+        return distanceA < distanceB ? -1 : distanceA > distanceB ? 1 : 0;
+      })
+      .slice(0, this.options.alpha)
+      .forEach(peer => this.query(peer, target));
+  }
+
+  query(peer, target) {
+    const key = `${peer.id}:${target}`;
+    if (this.queries.has(key)) return;
+
+    const timer = setTimeout(() => this.queries.delete(key), this.options.queryTimeout);
+    timer.unref();
+    this.queries.set(key, timer);
+    this.server.sendToPeer(peer.socket, { type: 'FIND_NODE', target });
+  }
+
+  // Contacts to hand out for a FIND_NODE, never including the asking peer itself
+  findNode(target, peerId) {
+    const peer = this.server.peers.get(peerId);
+    return this.table.closest(target, this.options.k + 1)
+      .filter(contact => !peer || contact.nodeId !== peer.nodeId)
+      .slice(0, this.options.k)
+      .map(({ nodeId, address }) => ({ nodeId, address }));
+  }
+
+  // Returns false for NODES we did not ask for
+  handleNodes(target, nodes, peerId) {
+    const key = `${peerId}:${target}`;
+    if (!this.queries.has(key)) {
+      return false;
+    }
+    clearTimeout(this.queries.get(key));
+    this.queries.delete(key);
+
+    nodes.slice(0, this.options.k)
+      .filter(contact => isValidContact(contact) && contact.nodeId !== this.table.selfId)
+      .filter(contact => !this.server.peerManager.isBanned({ nodeId: contact.nodeId, listenAddress: contact.address }))
+      .forEach(contact => this.table.add({ nodeId: contact.nodeId, address: contact.address }));
+
+    this.fillOutbound();
+    return true;
+  }
+
+  // Dials contacts from the buckets with the fewest outbound peers first
+  fillOutbound() {
+    const slots = this.getFreeOutboundSlots();
+    if (slots <= 0) return;
+
+    const perBucket = new Map();
+    this.getPeers(peer => peer.outbound).forEach(peer => {
+      const index = bucketIndex(this.table.selfId, peer.nodeId);
+      perBucket.set(index, (perBucket.get(index) || 0) + 1);
+    });
+
+    for (let i = 0; i < slots; i++) {
+      // Oldest dialable contact of each bucket; ties go to a random bucket
+      const candidates = this.table.buckets
+        .map((bucket, index) => ({ index, contact: bucket.contacts.find(contact => this.canDial(contact)), tieBreak: Math.random() }))
+        .filter(candidate => candidate.contact)
+        .sort((a, b) => (perBucket.get(a.index) || 0) - (perBucket.get(b.index) || 0) || a.tieBreak - b.tieBreak);
+      if (candidates.length === 0) return;
+
+      const { index, contact } = candidates[0];
+      perBucket.set(index, (perBucket.get(index) || 0) + 1);
+      this.dial(contact.address);
+    }
+  }
+
+  // Outbound peers proved they listen at the dialed address; they are asked for our neighbourhood.
+  // Inbound peers only claim a listen address, so it is kept as unverified
+  handlePeerConnected(peer) {
+    this.dialing.delete(peer.address);
+    const address = peer.outbound ? peer.address : peer.listenAddress;
+    if (!address) return;
+
+    this.table.add({ nodeId: peer.nodeId, address }, peer.outbound);
+    if (peer.outbound) {
+      this.query(peer, this.table.selfId);
+    }
+  }
+
+  // Also frees the outbound slot of a dial that ended before the handshake (e.g. a duplicate)
+  handlePeerDisconnected(peer) {
+    this.dialing.delete(peer.address);
+    Array.from(this.queries.keys())
+      .filter(key => key.startsWith(`${peer.id}:`))
+      .forEach(key => {
+        clearTimeout(this.queries.get(key));
+        this.queries.delete(key);
+      });
+    this.fillOutbound();
+  }
+
+  // The address could not be dialed or answered as a different or incompatible node
+  handleUnreachable(address) {
+    this.dialing.delete(address);
+    const contact = this.table.findByAddress(address);
+    if (contact) {
+      this.table.remove(contact.nodeId);
+    }
+  }
+}
+
+module.exports = {
+  ID_BITS,
+  DISCOVERY_DEFAULTS,
+  isValidNodeId,
+  isValidAddress,
+  xorDistance,
+  bucketIndex,
+  randomIdInBucket,
+  RoutingTable,
+  Discovery
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { isValidAddress, RoutingTable } = require('./4D-Kademlia.js');
+
+const randomId = () => crypto.randomBytes(32).toString('hex');
+
+test('only dialable WebSocket URLs are valid contact addresses', () => {
+  ['ws://localhost:5001', 'wss://example.org', 'ws://[::1]:5001/p2p'].forEach(address =>
+    assert.strictEqual(isValidAddress(address), true, address)
+  );
+  // None of these can be dialed; most make `new WebSocket()` throw synchronously
+  ['ws://%zz', 'ws://[::1', 'ws://a:99999', 'ws://a:0', 'ws://a#fragment', 'http://a:5001', 'ws://a b', 42, null]
+    .forEach(address => assert.strictEqual(isValidAddress(address), false, String(address)));
+});
+
+test('contacts with undialable addresses never enter the routing table', () => {
+  const table = new RoutingTable(randomId());
+
+  assert.strictEqual(table.add({ nodeId: randomId(), address: 'ws://a:99999' }), false);
+  assert.strictEqual(table.add({ nodeId: randomId(), address: 'ws://[::1' }, true), false);
+  assert.strictEqual(table.add({ nodeId: randomId(), address: 'ws://peer:5001' }), true);
+  assert.strictEqual(table.size, 1);
+});
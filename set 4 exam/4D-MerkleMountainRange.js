@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { hashBlockHeader } = require('./4D-Serialization.js');
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+const ROOT_PREFIX = Buffer.from([0x02]);
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+}
+
+function hashLeaf(blockHash) {
+  return sha256(LEAF_PREFIX, Buffer.from(blockHash, 'hex'));
+}
+
+function hashNode(left, right) {
+  return sha256(NODE_PREFIX, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+// Peaks are bagged together with the leaf count, so MMRs of different sizes never share a root
+function bagPeaks(leafCount, peaks) {
+  const count = Buffer.alloc(8);
+  count.writeBigUInt64BE(BigInt(leafCount));
+  return sha256(ROOT_PREFIX, count, ...peaks.map(peak => Buffer.from(peak, 'hex')));
+}
+
+// Perfect subtrees making up an MMR of `leafCount` leaves, largest first
+function peakRanges(leafCount) {
+  const ranges = [];
+  let start = 0;
+
+  for (let height = Math.floor(Math.log2(leafCount || 1)); height >= 0; height--) {
+    const size = 2 ** height;
+    if (leafCount - start >= size) {
+      ranges.push({ start, height });
+      start += size;
+    }
+  }
+
+  return ranges;
+}
+
+// Append-only Merkle Mountain Range over block hashes
+class MerkleMountainRange {
+  constructor() {
+    this.levels = [[]]; // levels[h][i] is the root of leaves [i * 2^h, (i + 1) * 2^h)
+  }
+
+  get size() {
+    return this.levels[0].length;
+  }
+
+  append(blockHash) {
+    this.levels[0].push(hashLeaf(blockHash));
+
+    // Merge completed pairs upwards
+    let height = 0;
+    while (this.levels[height].length % 2 === 0) {
+      const level = this.levels[height];
+      if (!this.levels[height + 1]) {
+        this.levels[height + 1] = [];
+      }
+      this.levels[height + 1].push(hashNode(level[level.length - 2], level[level.length - 1]));
+      height++;
+    }
+  }
+
+  getPeaks(leafCount = this.size) {
+    return peakRanges(leafCount).map(({ start, height }) => this.levels[height][start >> height]);
+  }
+
+  // Root as it was when the MMR held `leafCount` leaves
+  getRoot(leafCount = this.size) {
+    return bagPeaks(leafCount, leafCount === 0 ? [] : this.getPeaks(leafCount));
+  }
+
+  getProof(leafIndex, leafCount = this.size) {
+    if (!Number.isInteger(leafIndex) || leafIndex < 0 || leafIndex >= leafCount || leafCount > this.size) {
+      throw new Error(`Leaf ${leafIndex} is not in an MMR of ${leafCount} leaves`);
+    }
+
+    const peak = peakRanges(leafCount).find(({ start, height }) =>
+      leafIndex >= start && leafIndex < start + 2 ** height
+    );
+
+    const siblings = [];
+    let index = leafIndex;
+    for (let height = 0; height < peak.height; height++) {
+      siblings.push(this.levels[height][index ^ 1]);
+      index >>= 1;
+    }
+
+    return {
+      leafIndex,
+      leafCount,
+      siblings,
+      peaks: this.getPeaks(leafCount)
+    };
+  }
+
+  static fromBlockHashes(blockHashes) {
+    const mmr = new MerkleMountainRange();
+    blockHashes.forEach(hash => mmr.append(hash));
+    return mmr;
+  }
+}
+
+// Standalone verifier: is `blockHash` leaf number proof.leafIndex under `historyRoot`?
+function verifyHistoryProof(blockHash, proof, historyRoot) {
+  try {
+    const ranges = peakRanges(proof.leafCount);
+    const peakPosition = ranges.findIndex(({ start, height }) =>
+      proof.leafIndex >= start && proof.leafIndex < start + 2 ** height
+    );
+
+    if (proof.leafCount < 1 || peakPosition === -1 ||
+        proof.peaks.length !== ranges.length ||
+        proof.siblings.length !== ranges[peakPosition].height) {
+      return false;
+    }
+
+    let computed = hashLeaf(blockHash);
+    let index = proof.leafIndex;
+    for (const sibling of proof.siblings) {
+      computed = index % 2 === 0 ? hashNode(computed, sibling) : hashNode(sibling, computed);
+      index >>= 1;
+    }
+
+    return computed === proof.peaks[peakPosition] &&
+      bagPeaks(proof.leafCount, proof.peaks) === historyRoot;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Light-client check: the tip header hashes correctly and its history commits to the old block
+function verifyBlockInclusion(tipHeader, blockHash, proof) {
+  const { nonce, hash, ...fields } = tipHeader;
+
+  if (hashBlockHeader(fields, nonce) !== hash) {
+    return false;
+  }
+
+  // The tip's history covers exactly the blocks before it
+  if (proof.leafCount !== tipHeader.index) {
+    return false;
+  }
+
+  return verifyHistoryProof(blockHash, proof, tipHeader.historyRoot);
+}
+
+module.exports = {
+  MerkleMountainRange,
+  verifyHistoryProof,
+  verifyBlockInclusion
+};
@@ -0,0 +1,151 @@
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const os = require('os');
+const { encodeValue } = require('./4D-Serialization.js');
+
+const PROGRESS_INTERVAL = 20000; // hashes between progress reports
+
+// Worker side: try nonces start, start + stride, ... until one meets the difficulty
+function runWorker({ prefix, difficulty, startNonce, stride }) {
+  const target = Array(difficulty + 1).join('0');
+  // Hash the fixed prefix once and reuse its state for every nonce
+  const midstate = crypto.createHash('sha256').update(prefix);
+  let nonce = startNonce;
+  let hashes = 0;
+
+  for (;;) {
+    const hash = midstate.copy().update(encodeValue(nonce)).digest('hex');
+    hashes++;
+
+    if (hash.substring(0, difficulty) === target) {
+      parentPort.postMessage({ type: 'found', nonce, hash, hashes });
+      return;
+    }
+
+    if (hashes === PROGRESS_INTERVAL) {
+      parentPort.postMessage({ type: 'progress', hashes });
+      hashes = 0;
+    }
+
+    nonce += stride;
+  }
+}
+
+// Main side: spreads the nonce space for one block across worker threads
+class MiningEngine extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.threads = options.threads || os.cpus().length;
+    this.workers = [];
+    this.currentJob = null;
+    this.totalHashes = 0;
+    this.hashRate = 0;
+  }
+
+  setThreads(threads) {
+    const count = parseInt(threads);
+    if (!Number.isInteger(count) || count < 1 || count > os.cpus().length * 4) {
+      throw new Error(`Invalid thread count: ${threads}`);
+    }
+    // Takes effect from the next job
+    this.threads = count;
+  }
+
+  // `prefix` is the encoded block header without the nonce.
+  // Resolves with { nonce, hash } or null when cancelled
+  mine(prefix, difficulty, jobInfo = {}) {
+    if (this.currentJob) {
+      return Promise.reject(new Error('Mining engine is busy'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        ...jobInfo,
+        difficulty,
+        threads: this.threads,
+        startedAt: Date.now(),
+        hashes: 0,
+        resolve
+      };
+      this.currentJob = job;
+
+      for (let i = 0; i < this.threads; i++) {
+        const worker = new Worker(__filename, {
+          workerData: { prefix, difficulty, startNonce: i, stride: this.threads }
+        });
+
+        worker.on('message', (message) => {
+          if (this.currentJob !== job) return;
+          this.recordHashes(job, message.hashes);
+
+          if (message.type === 'found') {
+            this.finishJob(job, { nonce: message.nonce, hash: message.hash });
+          }
+        });
+
+        worker.on('error', (error) => {
+          if (this.currentJob !== job) return;
+          this.stopWorkers();
+          this.currentJob = null;
+          reject(error);
+        });
+
+        this.workers.push(worker);
+      }
+
+      this.emit('started', { ...jobInfo, difficulty, threads: this.threads });
+    });
+  }
+
+  recordHashes(job, hashes) {
+    job.hashes += hashes;
+    this.totalHashes += hashes;
+    const elapsedSeconds = (Date.now() - job.startedAt) / 1000;
+    if (elapsedSeconds > 0) {
+      this.hashRate = Math.round(job.hashes / elapsedSeconds);
+    }
+  }
+
+  finishJob(job, result) {
+    this.stopWorkers();
+    this.currentJob = null;
+    this.emit(result ? 'found' : 'cancelled', { ...result, hashes: job.hashes, hashRate: this.hashRate });
+    job.resolve(result);
+  }
+
+  // Abandons the current job, e.g. when a competing block arrives
+  cancel() {
+    if (this.currentJob) {
+      this.finishJob(this.currentJob, null);
+    }
+  }
+
+  stopWorkers() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+  }
+
+  getStatus() {
+    const job = this.currentJob;
+    return {
+      isMining: Boolean(job),
+      threads: this.threads,
+      hashRate: this.hashRate,
+      totalHashes: this.totalHashes,
+      currentJob: job ? {
+        index: job.index,
+        difficulty: job.difficulty,
+        threads: job.threads,
+        hashes: job.hashes,
+        startedAt: new Date(job.startedAt)
+      } : null
+    };
+  }
+}
+
+if (!isMainThread && workerData && workerData.prefix !== undefined) {
+  runWorker(workerData);
+}
+
+module.exports = { MiningEngine };
@@ -0,0 +1,90 @@
+// Blocks that do not extend our tip yet: out-of-order arrivals whose parent is still missing,
+// and blocks of competing branches that do not (yet) have more work than our chain.
+// Kept until their ancestors arrive or they age out.
+class OrphanPool {
+  constructor(options = {}) {
+    this.maxBlocks = options.maxBlocks || 200;
+    this.maxAge = options.maxAge || 10 * 60 * 1000; // ms
+    this.blocks = new Map();   // hash -> { block, peerId, receivedAt }
+    this.children = new Map(); // previousHash -> Set of hashes
+  }
+
+  get size() {
+    return this.blocks.size;
+  }
+
+  has(hash) {
+    return this.blocks.has(hash);
+  }
+
+  get(hash) {
+    const entry = this.blocks.get(hash);
+    return entry ? entry.block : null;
+  }
+
+  // Returns false for blocks already pooled. When full, the oldest entry makes room
+  add(block, peerId = null) {
+    if (this.blocks.has(block.hash)) {
+      return false;
+    }
+
+    this.prune();
+    while (this.blocks.size >= this.maxBlocks) {
+      // Maps iterate in insertion order, so this is the oldest entry
+      this.remove(this.blocks.keys().next().value);
+    }
+
+    this.blocks.set(block.hash, { block, peerId, receivedAt: Date.now() });
+    if (!this.children.has(block.previousHash)) {
+      this.children.set(block.previousHash, new Set());
+    }
+    this.children.get(block.previousHash).add(block.hash);
+    return true;
+  }
+
+  remove(hash) {
+    const entry = this.blocks.get(hash);
+    if (!entry) return;
+
+    this.blocks.delete(hash);
+    const siblings = this.children.get(entry.block.previousHash);
+    siblings.delete(hash);
+    if (siblings.size === 0) {
+      this.children.delete(entry.block.previousHash);
+    }
+  }
+
+  getChildren(parentHash) {
+    return Array.from(this.children.get(parentHash) || []).map(hash => this.get(hash));
+  }
+
+  // Pooled ancestors of `block` followed by the block itself, oldest first.
+  // The first block's parent is either on our chain or still missing
+  getBranch(block) {
+    const branch = [block];
+    while (this.blocks.has(branch[0].previousHash) && branch.length <= this.blocks.size) {
+      branch.unshift(this.get(branch[0].previousHash));
+    }
+    return branch;
+  }
+
+  // Longest run (by block count) of pooled descendants of `hash`, oldest first
+  getDescendants(hash) {
+    let longest = [];
+    this.getChildren(hash).forEach(child => {
+      const path = [child, ...this.getDescendants(child.hash)];
+      if (path.length > longest.length) longest = path;
+    });
+    return longest;
+  }
+
+  prune(now = Date.now()) {
+    this.blocks.forEach((entry, hash) => {
+      if (now - entry.receivedAt > this.maxAge) {
+        this.remove(hash);
+      }
+    });
+  }
+}
+
+module.exports = { OrphanPool };
@@ -2,126 +2,457 @@ const WebSocket = require('ws');
 const express = require('express');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { BlockStore, writeJsonAtomic, readJson } = require('./4D-BlockStore.js');
+const { UTXOSet, isUTXOTransaction, isCoinbase, outputKey } = require('./4D-UTXOSet.js');
+const { AccountState } = require('./4D-AccountState.js');
+const {
+  DEFAULT_EMISSION_PARAMS,
+  getBlockSubsidy,
+  getIssuedSupply,
+  getNextHalvingHeight,
+  isMature
+} = require('./4D-Emission.js');
+const Wallet = require('./4D-Wallet.js');
+const { MiningEngine } = require('./4D-MiningEngine.js');
+const {
+  encodeMessage,
+  decodeMessage,
+  encodeTransaction,
+  encodeBlock,
+  encodeBlockHashPrefix,
+  hashBlockHeader
+} = require('./4D-Serialization.js');
+const { MerkleMountainRange } = require('./4D-MerkleMountainRange.js');
+const { ChainIndex } = require('./4D-ChainIndex.js');
+const { SecureChannel, createNodeIdentity } = require('./4D-SecureTransport.js');
+const {
+  DEFAULT_SLOT_DURATION,
+  getSlot,
+  isSlashTransaction,
+  selectEpochProposer,
+  verifySignedHeader,
+  verifySlashEvidence,
+  DoubleSignDetector
+} = require('./4D-ProofOfStake.js');
+const { BFT_MESSAGES, ValidatorSet, BFTEngine, verifyCommitCertificate } = require('./4D-BFT.js');
+const { OrphanPool } = require('./4D-OrphanPool.js');
+const { ChainSync } = require('./4D-ChainSync.js');
+const { PeerManager } = require('./4D-PeerManager.js');
+const { Discovery, isValidNodeId, isValidAddress } = require('./4D-Kademlia.js');
+const { SparseMerkleTree } = require('../set 1 exam/1(C)sparseMerkleTree.js');
+const { MERKLE_MODES, createMerkleTree } = require('../set 1 exam/1(C)merkelTree.js');
+
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+const DEFAULT_NETWORK_ID = 'enhanced-blockchain-main';
+const HANDSHAKE_TIMEOUT = 10000; // ms
+// The only messages processed before a peer has completed the handshake
+const HANDSHAKE_MESSAGES = new Set(['VERSION', 'VERACK', 'REJECT']);
+const MAX_BLOCKS_PER_MESSAGE = 50;
+const MAX_HEADERS_PER_MESSAGE = 2000;
+const MAX_LOCATOR_HASHES = 100;
+const BLOCK_REQUEST_TIMEOUT = 30000; // ms before the same missing block is requested again
+const FULL_CHAIN_SYNC_LIMIT = 20; // blocks; longer chains are only ever synced headers-first
 
 // Complete P2P Server Implementation
 class P2PServer extends EventEmitter {
-  constructor(blockchain, transactionPool) {
+  constructor(blockchain, transactionPool, options = {}) {
     super();
     this.blockchain = blockchain;
     this.transactionPool = transactionPool;
+    this.networkId = options.networkId || DEFAULT_NETWORK_ID;
+    // Long-term key; the node id is derived from it and proven in every transport handshake
+    this.identity = options.identity || createNodeIdentity();
+    this.nodeId = this.identity.nodeId;
+    // Permissioned deployments: only peers holding one of these public keys may connect
+    this.allowedPeerKeys = options.allowedPeerKeys ? new Set(options.allowedPeerKeys) : null;
+    this.listenAddress = options.listenAddress || null; // advertised to peers in the handshake
+    this.consensusEngine = options.consensusEngine || null; // BFT validators only
+    // Misbehaviour scores, rate limits, bans (restored from `options.bans`) and connection limits
+    this.peerManager = new PeerManager({
+      policy: options.peerPolicy,
+      rateLimits: options.rateLimits,
+      bans: options.bans
+    });
+    this.orphanPool = new OrphanPool(options.orphans);
+    this.blockRequests = new Map(); // missing block hash -> time we asked for it
+    this.chainSync = new ChainSync(this, {
+      batchSize: MAX_BLOCKS_PER_MESSAGE,
+      maxHeaders: MAX_HEADERS_PER_MESSAGE,
+      ...options.sync
+    });
+    // Kademlia routing table; dials bootstrap nodes first, then contacts from diverse buckets
+    this.discovery = new Discovery(this, { bootstrapNodes: options.bootstrapNodes, ...options.discovery });
+    this.channels = new WeakMap(); // socket -> SecureChannel
     this.sockets = [];
     this.peers = new Map();
+    this.knownPeers = new Set();
+    this.selfAddresses = new Set(); // addresses that turned out to be this node
     this.messageHandlers = new Map();
     this.setupMessageHandlers();
   }
 
   setupMessageHandlers() {
+    this.messageHandlers.set('VERSION', this.handleVersionMessage.bind(this));
+    this.messageHandlers.set('VERACK', this.handleVerackMessage.bind(this));
+    this.messageHandlers.set('REJECT', this.handleRejectMessage.bind(this));
     this.messageHandlers.set('CHAIN', this.handleChainMessage.bind(this));
     this.messageHandlers.set('TRANSACTION', this.handleTransactionMessage.bind(this));
     this.messageHandlers.set('BLOCK', this.handleBlockMessage.bind(this));
-    this.messageHandlers.set('PEER_REQUEST', this.handlePeerRequest.bind(this));
-    this.messageHandlers.set('PEER_LIST', this.handlePeerList.bind(this));
+    this.messageHandlers.set('GET_BLOCKS', this.handleGetBlocks.bind(this));
+    this.messageHandlers.set('BLOCKS', this.handleBlocksMessage.bind(this));
+    this.messageHandlers.set('GET_HEADERS', this.handleGetHeaders.bind(this));
+    this.messageHandlers.set('HEADERS', this.handleHeadersMessage.bind(this));
+    this.messageHandlers.set('FIND_NODE', this.handleFindNode.bind(this));
+    this.messageHandlers.set('NODES', this.handleNodesMessage.bind(this));
     this.messageHandlers.set('CONSENSUS', this.handleConsensusMessage.bind(this));
+    Object.values(BFT_MESSAGES).forEach(type => {
+      this.messageHandlers.set(type, this.handleBftMessage.bind(this));
+    });
   }
 
   listen(port) {
     const server = new WebSocket.Server({ port });
     console.log(`P2P Server listening on port ${port}`);
+    this.listenAddress = this.listenAddress || `ws://localhost:${port}`;
 
     server.on('connection', (socket, req) => {
       const peerAddress = req.socket.remoteAddress;
+      if (this.peerManager.isAddressBanned(peerAddress)) {
+        socket.terminate();
+        return;
+      }
+      if (!this.peerManager.canAccept(false, this.getConnectionCounts())) {
+        console.log(`Refusing inbound peer ${peerAddress}: connection limit reached`);
+        socket.terminate();
+        return;
+      }
       console.log(`New peer connected: ${peerAddress}`);
       
-      this.connectSocket(socket, peerAddress);
+      this.connectSocket(socket, peerAddress, false);
     });
 
     this.server = server;
   }
 
   connectToPeer(address) {
-    const ws = new WebSocket(address);
-    
+    if (this.selfAddresses.has(address) || this.isPeerConnected(address) ||
+        this.peerManager.isAddressBanned(address) ||
+        !this.peerManager.canAccept(true, this.getConnectionCounts())) {
+      return;
+    }
+
+    // Addresses come from config and from peers; one that cannot be dialed must not throw
+    let ws;
+    try {
+      ws = new WebSocket(address);
+    } catch (error) {
+      console.error(`Failed to connect to ${address}:`, error.message);
+      this.discovery.handleUnreachable(address);
+      return;
+    }
+
     ws.on('open', () => {
       console.log(`Connected to peer: ${address}`);
-      this.connectSocket(ws, address);
-      
-      // Request peer list from new connection
-      this.sendToPeer(ws, { type: 'PEER_REQUEST' });
+      this.connectSocket(ws, address, true);
     });
 
     ws.on('error', (error) => {
       console.error(`Failed to connect to ${address}:`, error.message);
+      if (ws.readyState !== WebSocket.OPEN) {
+        this.discovery.handleUnreachable(address);
+      }
     });
   }
 
-  connectSocket(socket, address) {
+  // `address` is the URL we dialed for outbound connections, the remote IP for inbound ones
+  connectSocket(socket, address, outbound) {
     const peerId = crypto.randomUUID();
     const peerInfo = {
       id: peerId,
       address: address,
       socket: socket,
+      outbound,
       connectedAt: new Date(),
-      lastSeen: Date.now()
+      lastSeen: Date.now(),
+      // Filled in by the handshake
+      versionReceived: false,
+      verackReceived: false,
+      handshakeComplete: false,
+      nodeId: null,
+      publicKey: null,
+      listenAddress: outbound ? address : null,
+      protocolVersion: null,
+      bestHeight: 0,
+      rateLimiter: this.peerManager.createRateLimiter()
     };
 
     this.sockets.push(socket);
     this.peers.set(peerId, peerInfo);
 
-    socket.on('message', (data) => {
-      try {
-        const message = JSON.parse(data);
-        this.handleMessage(socket, message, peerId);
-      } catch (error) {
-        console.error('Invalid message received:', error.message);
-      }
-    });
+    const channel = new SecureChannel(this.identity, outbound, { allowedKeys: this.allowedPeerKeys });
+    this.channels.set(socket, channel);
+
+    socket.on('message', (data) => this.handleFrame(peerInfo, channel, Buffer.from(data)));
 
     socket.on('close', () => {
       console.log(`Peer disconnected: ${address}`);
+      clearTimeout(peerInfo.handshakeTimer);
       this.sockets = this.sockets.filter(s => s !== socket);
       this.peers.delete(peerId);
+      this.chainSync.handlePeerDisconnected(peerId);
+      this.discovery.handlePeerDisconnected(peerInfo);
     });
 
     socket.on('error', (error) => {
       console.error(`Socket error from ${address}:`, error.message);
     });
 
-    // Send current blockchain to new peer
-    this.sendToPeer(socket, {
-      type: 'CHAIN',
-      chain: this.blockchain.chain
+    peerInfo.handshakeTimer = setTimeout(() => {
+      if (!peerInfo.handshakeComplete) {
+        this.rejectPeer(peerInfo, 'Handshake timed out');
+      }
+    }, HANDSHAKE_TIMEOUT);
+    peerInfo.handshakeTimer.unref();
+
+    // Encrypted transport first, then the version handshake inside it
+    socket.send(channel.hello());
+  }
+
+  handleFrame(peer, channel, frame) {
+    let result;
+    try {
+      result = channel.receive(frame);
+    } catch (error) {
+      // Tampered, replayed or unauthenticated traffic ends the connection
+      console.warn(`Closing connection to ${peer.address}: ${error.message}`);
+      peer.socket.terminate();
+      return;
+    }
+
+    if (result.reply) {
+      peer.socket.send(result.reply);
+    }
+
+    if (result.established) {
+      peer.publicKey = channel.remotePublicKey;
+      this.sendToPeer(peer.socket, this.getVersionMessage());
+    }
+
+    if (result.plaintext) {
+      let message;
+      try {
+        message = decodeMessage(result.plaintext);
+      } catch (error) {
+        console.error('Invalid message received:', error.message);
+        this.misbehaving(peer.id, 'INVALID_MESSAGE');
+        return;
+      }
+
+      // Handlers score the invalid payloads they detect; a throw here is our own bug
+      try {
+        this.handleMessage(peer.socket, message, peer.id);
+      } catch (error) {
+        console.error(`Error handling ${message.type} from ${peer.address}:`, error);
+      }
+    }
+  }
+
+  getVersionMessage() {
+    return {
+      type: 'VERSION',
+      protocolVersion: PROTOCOL_VERSION,
+      networkId: this.networkId,
+      genesisHash: this.blockchain.chain[0].hash,
+      bestHeight: this.blockchain.getLatestBlock().index,
+      nodeId: this.nodeId,
+      listenAddress: this.listenAddress
+    };
+  }
+
+  // Returns null when the remote node may join, otherwise the reason
+  checkVersion(message, peer) {
+    if (!Number.isInteger(message.protocolVersion) || message.protocolVersion < MIN_PROTOCOL_VERSION) {
+      return `Unsupported protocol version ${message.protocolVersion}`;
+    }
+    if (message.networkId !== this.networkId) {
+      return `Network mismatch: ${message.networkId}`;
+    }
+    if (message.genesisHash !== this.blockchain.chain[0].hash) {
+      return 'Genesis block mismatch';
+    }
+    if (typeof message.nodeId !== 'string' || message.nodeId.length === 0) {
+      return 'Missing node id';
+    }
+    if (message.nodeId === this.nodeId) {
+      return 'Connected to self';
+    }
+    if (message.nodeId !== this.channels.get(peer.socket).remoteNodeId) {
+      return 'Node id is not bound to the transport key';
+    }
+    if (this.isPeerConnected(null, message.nodeId)) {
+      return 'Already connected to this node';
+    }
+    if (this.peerManager.isBanned({ nodeId: message.nodeId, address: peer.address, listenAddress: message.listenAddress })) {
+      return 'Banned';
+    }
+    return null;
+  }
+
+  handleVersionMessage(socket, message, peerId) {
+    const peer = this.peers.get(peerId);
+    if (peer.versionReceived) {
+      this.rejectPeer(peer, 'Duplicate version message');
+      return;
+    }
+
+    const reason = this.checkVersion(message, peer);
+    if (reason) {
+      // Don't dial incompatible nodes (or ourselves) again; a duplicate stays a known peer
+      if (peer.outbound && !this.isPeerConnected(null, message.nodeId)) {
+        this.knownPeers.delete(peer.address);
+        this.discovery.handleUnreachable(peer.address);
+        if (message.nodeId === this.nodeId) {
+          this.selfAddresses.add(peer.address);
+        }
+      }
+      this.rejectPeer(peer, reason);
+      return;
+    }
+
+    Object.assign(peer, {
+      versionReceived: true,
+      nodeId: message.nodeId,
+      // Only a dialable advertised address is kept, shared or dialed later
+      listenAddress: isValidAddress(message.listenAddress) ? message.listenAddress : peer.listenAddress,
+      protocolVersion: message.protocolVersion,
+      bestHeight: Number(message.bestHeight) || 0
     });
+
+    this.sendToPeer(socket, { type: 'VERACK' });
+    this.completeHandshake(peer);
+  }
+
+  handleVerackMessage(socket, message, peerId) {
+    const peer = this.peers.get(peerId);
+    peer.verackReceived = true;
+    this.completeHandshake(peer);
+  }
+
+  handleRejectMessage(socket, message, peerId) {
+    const peer = this.peers.get(peerId);
+    console.warn(`Peer ${peer.address} rejected the connection: ${message.reason}`);
+    socket.close();
+  }
+
+  rejectPeer(peer, reason) {
+    console.warn(`Rejecting peer ${peer.address}: ${reason}`);
+    this.sendToPeer(peer.socket, { type: 'REJECT', reason });
+    peer.socket.close();
+  }
+
+  // Runs once we have accepted the peer's VERSION and it has acknowledged ours
+  completeHandshake(peer) {
+    if (peer.handshakeComplete || !peer.versionReceived || !peer.verackReceived) {
+      return;
+    }
+
+    peer.handshakeComplete = true;
+    clearTimeout(peer.handshakeTimer);
+    if (peer.listenAddress) {
+      this.knownPeers.add(peer.listenAddress);
+    }
+    console.log(`Handshake complete with node ${peer.nodeId} (${peer.listenAddress || peer.address}, height ${peer.bestHeight})`);
+    this.emit('peerConnected', peer);
+
+    // Peers that are behind fetch headers from us; only a tiny chain is pushed whole
+    if (this.blockchain.getLatestBlock().index > peer.bestHeight &&
+        this.blockchain.chain.length <= FULL_CHAIN_SYNC_LIMIT) {
+      this.sendToPeer(peer.socket, {
+        type: 'CHAIN',
+        chain: this.blockchain.chain
+      });
+    }
+
+    if (peer.bestHeight > this.blockchain.getLatestBlock().index) {
+      this.chainSync.start();
+    }
+
+    this.discovery.handlePeerConnected(peer);
   }
 
   handleMessage(socket, message, peerId) {
+    const peer = this.peers.get(peerId);
+    // Banned peers stay in the map until their socket finishes closing
+    if (!peer || peer.banned) return;
+
+    if (!peer.handshakeComplete && !HANDSHAKE_MESSAGES.has(message.type)) {
+      console.warn(`Ignoring ${message.type} from ${peer.address} before handshake`);
+      this.misbehaving(peerId, 'PROTOCOL_VIOLATION');
+      return;
+    }
+
+    if (!peer.rateLimiter.allow(message.type)) {
+      this.misbehaving(peerId, 'RATE_LIMITED');
+      return;
+    }
+
     const handler = this.messageHandlers.get(message.type);
     if (handler) {
       handler(socket, message, peerId);
     } else {
       console.warn(`Unknown message type: ${message.type}`);
+      this.misbehaving(peerId, 'UNKNOWN_MESSAGE');
     }
 
     // Update last seen timestamp
-    const peer = this.peers.get(peerId);
-    if (peer) {
-      peer.lastSeen = Date.now();
-    }
+    peer.lastSeen = Date.now();
   }
 
   handleChainMessage(socket, message, peerId) {
-    const receivedChain = message.chain;
-    
-    if (this.blockchain.isValidChain(receivedChain) && 
-        receivedChain.length > this.blockchain.chain.length) {
-      
-      console.log('Replacing blockchain with longer valid chain');
-      this.blockchain.replaceChain(receivedChain);
-      this.emit('chainReplaced', receivedChain);
+    if (!Array.isArray(message.chain) || message.chain.length === 0) return;
+
+    // Anything longer than a tiny chain is treated as a height announcement and synced headers-first
+    if (message.chain.length > FULL_CHAIN_SYNC_LIMIT) {
+      const peer = this.peers.get(peerId);
+      peer.bestHeight = Math.max(peer.bestHeight, message.chain.length - 1);
+      this.chainSync.start();
+      return;
     }
+
+    this.adoptChain(message.chain);
+  }
+
+  // replaceChain validates and only switches to a chain with more accumulated work
+  adoptChain(receivedChain) {
+    const reorg = this.blockchain.replaceChain(receivedChain);
+    if (!reorg) return false;
+
+    // Re-check the pool against the new tip, returning orphaned transactions to it
+    this.transactionPool.revalidate(reorg.orphanedTransactions);
+
+    this.emit('chainReplaced', receivedChain);
+
+    if (reorg.depth > 0) {
+      this.emit('chainReorganized', {
+        oldTip: reorg.oldTip,
+        newTip: reorg.newTip,
+        depth: reorg.depth
+      });
+    }
+    return true;
   }
 
   handleTransactionMessage(socket, message, peerId) {
     const transaction = message.transaction;
+
+    // Unsigned or forged; other rejections (fees, nonces, duplicates) can be honest races
+    if (!transaction || !this.blockchain.isAuthorizedTransaction(transaction)) {
+      this.misbehaving(peerId, 'INVALID_TRANSACTION');
+      return;
+    }
     
     if (this.transactionPool.validTransaction(transaction)) {
       this.transactionPool.updateOrAddTransaction(transaction);
@@ -134,37 +465,199 @@ class P2PServer extends EventEmitter {
 
   handleBlockMessage(socket, message, peerId) {
     const block = message.block;
+
+    // Every signed proposal is remembered, valid or not, so a second block for the same slot is caught
+    const slashTransaction = this.blockchain.recordProposal(block);
+    if (slashTransaction) {
+      console.log(`Validator ${slashTransaction.offender} signed two blocks for slot ${slashTransaction.slot}`);
+      this.emit('doubleSignDetected', slashTransaction);
+      if (this.transactionPool.validTransaction(slashTransaction)) {
+        this.transactionPool.updateOrAddTransaction(slashTransaction);
+        this.broadcastTransaction(slashTransaction);
+      }
+    }
     
-    if (this.blockchain.isValidBlock(block)) {
+    const peer = this.peers.get(peerId);
+    if (peer && block && Number.isInteger(block.index)) {
+      peer.bestHeight = Math.max(peer.bestHeight, block.index);
+    }
+
+    // Propagate to other peers (except sender) once it is part of our chain
+    if (this.processBlock(block, peerId)) {
+      this.broadcastBlock(block, peerId);
+    }
+  }
+
+  // Adds a block that extends the tip, or keeps it as an orphan until it connects.
+  // Returns true when the block ended up on our chain
+  processBlock(block, peerId = null) {
+    if (!block || typeof block.hash !== 'string' ||
+        this.blockchain.chainIndex.blockHashes.has(block.hash) || this.orphanPool.has(block.hash)) {
+      return false;
+    }
+
+    // Our clock may be behind the peer's: drop it unscored, it is announced or synced again later
+    if (this.blockchain.isFutureBlock(block)) {
+      console.log(`Ignoring block ${block.index} from ${peerId}: its slot has not started here yet`);
+      return false;
+    }
+
+    if (block.previousHash === this.blockchain.getLatestBlock().hash) {
+      if (!this.blockchain.isValidBlock(block)) {
+        // A broken header proof is forgery; the remaining checks depend on our chain state
+        // (expected proposer, balances, nonces), which an honest peer can briefly disagree with
+        const forged = !this.blockchain.isValidHeader(this.blockchain.getHeaderWithProof(block));
+        this.misbehaving(peerId, forged ? 'INVALID_BLOCK' : 'REJECTED_BLOCK');
+        return false;
+      }
       this.blockchain.addBlock(block);
-      this.transactionPool.clear();
+      this.transactionPool.revalidate();
       this.emit('blockReceived', block);
-      
-      // Propagate to other peers (except sender)
-      this.broadcastBlock(block, peerId);
+      this.connectOrphans();
+      return true;
+    }
+
+    // Out of order or on a competing branch. Only pool blocks whose header checks out
+    // (proof of work, proposer signature or commit certificate), so orphans cost something to make
+    if (!this.blockchain.isValidHeader(this.blockchain.getHeaderWithProof(block))) {
+      this.misbehaving(peerId, 'INVALID_BLOCK');
+      return false;
     }
+    this.orphanPool.add(block, peerId);
+
+    // The block may also be the missing link for orphans that arrived before it
+    const branch = [...this.orphanPool.getBranch(block), ...this.orphanPool.getDescendants(block.hash)];
+    if (this.blockchain.chainIndex.blockHashes.has(branch[0].previousHash)) {
+      return this.connectBranch(branch);
+    }
+
+    this.requestMissingBlocks(peerId, branch[0]);
+    return false;
   }
 
-  handlePeerRequest(socket, message, peerId) {
-    const peerList = Array.from(this.peers.values()).map(peer => ({
-      id: peer.id,
-      address: peer.address
-    }));
+  // Switches to a pooled branch that forks off our chain once it has more work
+  connectBranch(branch) {
+    const forkIndex = this.blockchain.chainIndex.blockHashes.get(branch[0].previousHash);
+    const candidate = this.blockchain.chain.slice(0, forkIndex + 1).concat(branch);
 
+    if (this.blockchain.getChainWork(candidate) <= this.blockchain.getChainWork()) {
+      return false; // kept in the pool in case the branch grows
+    }
+
+    if (!this.adoptChain(candidate)) {
+      // Invalid somewhere: none of these blocks can ever connect
+      branch.forEach(block => this.orphanPool.remove(block.hash));
+      return false;
+    }
+
+    branch.forEach(block => this.orphanPool.remove(block.hash));
+    this.connectOrphans();
+    return true;
+  }
+
+  // Pooled blocks waiting for our new tip
+  connectOrphans() {
+    const tip = this.blockchain.getLatestBlock();
+    this.orphanPool.getChildren(tip.hash).forEach(child => {
+      const entry = this.orphanPool.blocks.get(child.hash);
+      this.orphanPool.remove(child.hash);
+      this.processBlock(child, entry.peerId);
+    });
+  }
+
+  // Asks the peer that sent an orphan for the blocks between our chain and it. Long gaps
+  // go through headers-first sync so the branch's work is checked before bodies are downloaded
+  requestMissingBlocks(peerId, orphan) {
+    const peer = this.peers.get(peerId);
+    if (!peer) return;
+
+    if (orphan.index - this.blockchain.getLatestBlock().index > MAX_BLOCKS_PER_MESSAGE) {
+      this.chainSync.start();
+      return;
+    }
+
+    const now = Date.now();
+    this.blockRequests.forEach((requestedAt, hash) => {
+      if (now - requestedAt > BLOCK_REQUEST_TIMEOUT) this.blockRequests.delete(hash);
+    });
+    if (this.blockRequests.has(orphan.previousHash)) {
+      return;
+    }
+    this.blockRequests.set(orphan.previousHash, now);
+
+    this.sendToPeer(peer.socket, {
+      type: 'GET_BLOCKS',
+      locator: this.blockchain.getBlockLocator(),
+      stopHash: orphan.previousHash
+    });
+  }
+
+  handleGetBlocks(socket, message, peerId) {
+    const locator = Array.isArray(message.locator) ? message.locator.slice(0, MAX_LOCATOR_HASHES) : [];
     this.sendToPeer(socket, {
-      type: 'PEER_LIST',
-      peers: peerList
+      type: 'BLOCKS',
+      blocks: this.blockchain.getBlocksAfter(locator, message.stopHash, MAX_BLOCKS_PER_MESSAGE),
+      stopHash: message.stopHash
     });
   }
 
-  handlePeerList(socket, message, peerId) {
-    message.peers.forEach(peer => {
-      if (!this.isPeerConnected(peer.address)) {
-        this.connectToPeer(peer.address);
-      }
+  handleBlocksMessage(socket, message, peerId) {
+    if (!Array.isArray(message.blocks) || message.blocks.length === 0) return;
+
+    if (this.chainSync.handleBlocks(message.blocks, message.stopHash, peerId)) {
+      return;
+    }
+
+    const blocks = message.blocks.slice(0, MAX_BLOCKS_PER_MESSAGE);
+    blocks.forEach(block => this.processBlock(block, peerId));
+
+    // A full batch that did not reach the requested block: continue after the last one
+    const last = blocks[blocks.length - 1];
+    const accepted = this.orphanPool.has(last.hash) || this.blockchain.chainIndex.blockHashes.has(last.hash);
+    if (blocks.length === MAX_BLOCKS_PER_MESSAGE && last.hash !== message.stopHash && accepted) {
+      this.sendToPeer(socket, {
+        type: 'GET_BLOCKS',
+        locator: [last.hash, ...this.blockchain.getBlockLocator()],
+        stopHash: message.stopHash
+      });
+    }
+  }
+
+  handleGetHeaders(socket, message, peerId) {
+    const locator = Array.isArray(message.locator) ? message.locator.slice(0, MAX_LOCATOR_HASHES) : [];
+    this.sendToPeer(socket, {
+      type: 'HEADERS',
+      headers: this.blockchain.getBlocksAfter(locator, message.stopHash, MAX_HEADERS_PER_MESSAGE)
+        .map(block => this.blockchain.getHeaderWithProof(block))
+    });
+  }
+
+  // Only answers to our own header requests are used; ChainSync validates them
+  handleHeadersMessage(socket, message, peerId) {
+    if (!Array.isArray(message.headers)) return;
+    this.chainSync.handleHeaders(message.headers.slice(0, MAX_HEADERS_PER_MESSAGE), peerId);
+  }
+
+  // The K contacts in our routing table closest to the target id
+  handleFindNode(socket, message, peerId) {
+    if (!isValidNodeId(message.target)) {
+      this.misbehaving(peerId, 'INVALID_MESSAGE');
+      return;
+    }
+
+    this.sendToPeer(socket, {
+      type: 'NODES',
+      target: message.target,
+      nodes: this.discovery.findNode(message.target, peerId)
     });
   }
 
+  // Contacts go into the routing table; which of them to dial is up to Discovery
+  handleNodesMessage(socket, message, peerId) {
+    if (!Array.isArray(message.nodes)) return;
+    this.discovery.handleNodes(message.target, message.nodes, peerId);
+  }
+
   handleConsensusMessage(socket, message, peerId) {
     // Implement consensus mechanism (Proof of Work, Proof of Stake, etc.)
     switch (message.consensusType) {
@@ -177,7 +670,21 @@ class P2PServer extends EventEmitter {
     }
   }
 
+  // Proposals and votes go to the local BFT engine; new ones are relayed so validators
+  // that are not directly connected still hear each other
+  handleBftMessage(socket, message, peerId) {
+    if (this.consensusEngine && this.consensusEngine.handleMessage(message)) {
+      this.broadcast(message, peerId);
+    }
+  }
+
+  // Pushes a tiny chain whole; otherwise announces our tip so peers that are behind sync headers-first
   broadcastChain() {
+    if (this.blockchain.chain.length > FULL_CHAIN_SYNC_LIMIT) {
+      this.broadcastBlock(this.blockchain.getLatestBlock());
+      return;
+    }
+
     this.broadcast({
       type: 'CHAIN',
       chain: this.blockchain.chain
@@ -200,26 +707,61 @@ class P2PServer extends EventEmitter {
 
   broadcast(message, excludePeerId = null) {
     this.peers.forEach((peer, peerId) => {
-      if (peerId !== excludePeerId && peer.socket.readyState === WebSocket.OPEN) {
+      if (peerId !== excludePeerId && peer.handshakeComplete && peer.socket.readyState === WebSocket.OPEN) {
         this.sendToPeer(peer.socket, message);
       }
     });
   }
 
+  // Messages only ever travel over an established secure channel
   sendToPeer(socket, message) {
-    if (socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(message));
+    const channel = this.channels.get(socket);
+    if (socket.readyState === WebSocket.OPEN && channel && channel.isEstablished()) {
+      socket.send(channel.seal(encodeMessage(message)));
     }
   }
 
-  isPeerConnected(address) {
-    return Array.from(this.peers.values()).some(peer => peer.address === address);
+  // Scores a protocol offence; a peer that crosses the ban threshold is banned and disconnected
+  misbehaving(peerId, reason) {
+    const peer = this.peers.get(peerId);
+    if (!peer || peer.banned) return;
+
+    const ban = this.peerManager.penalize(peer, reason);
+    if (ban) {
+      peer.banned = true;
+      console.warn(`Banning peer ${peer.nodeId || peer.address}: ${reason}`);
+      this.emit('peerBanned', { nodeId: peer.nodeId, address: peer.address, ...ban });
+      this.rejectPeer(peer, `Banned: ${reason}`);
+    }
+  }
+
+  getConnectionCounts() {
+    const peers = Array.from(this.peers.values());
+    return {
+      inbound: peers.filter(peer => !peer.outbound).length,
+      outbound: peers.filter(peer => peer.outbound).length
+    };
+  }
+
+  // Peers are identified by handshake data: the remote node id, or the address it listens on
+  isPeerConnected(address, nodeId = null) {
+    return Array.from(this.peers.values()).some(peer =>
+      (nodeId && peer.nodeId === nodeId) || (address && peer.listenAddress === address)
+    );
   }
 
   getConnectedPeers() {
     return Array.from(this.peers.values()).map(peer => ({
       id: peer.id,
+      nodeId: peer.nodeId,
+      publicKey: peer.publicKey,
       address: peer.address,
+      listenAddress: peer.listenAddress,
+      outbound: peer.outbound,
+      handshakeComplete: peer.handshakeComplete,
+      protocolVersion: peer.protocolVersion,
+      bestHeight: peer.bestHeight,
+      score: this.peerManager.getScore(peer),
       connectedAt: peer.connectedAt,
       lastSeen: new Date(peer.lastSeen)
     }));
@@ -235,14 +777,10 @@ class P2PServer extends EventEmitter {
     }
   }
 
-  // Consensus mechanism - Proof of Stake
+  // Consensus mechanism - Proof of Stake: the candidate carries its own slot, proposer
+  // and signature, so it goes through the normal block path
   handleProofOfStake(message) {
-    const { validator, stake, blockCandidate } = message;
-    
-    if (this.blockchain.validateStake(validator, stake)) {
-      this.blockchain.addBlock(blockCandidate);
-      this.broadcastBlock(blockCandidate);
-    }
+    this.handleBlockMessage(null, { block: message.blockCandidate }, null);
   }
 
   // Cleanup stale connections
@@ -265,80 +803,449 @@ class P2PServer extends EventEmitter {
   }
 }
 
+// Fixed so that every node (and every restart) derives the same genesis block
+const GENESIS_TIMESTAMP = 0;
+const BLOCK_SIZE_RESERVE = 2000; // bytes kept free in a block template for the header and reward
+const MAX_DIFFICULTY = 64;       // leading zero hex digits; a SHA-256 hash has no more
+
+function getTransactionSize(transaction) {
+  return encodeTransaction(transaction).length;
+}
+
+// Fee per kilobyte of encoded transaction
+function getFeeRate(fee, transaction) {
+  return fee * 1000 / getTransactionSize(transaction);
+}
+
 // Enhanced Blockchain Class with Consensus
 class EnhancedBlockchain {
-  constructor() {
+  constructor(options = {}) {
     this.chain = [this.createGenesisBlock()];
+    this.blockStore = null;
     this.difficulty = 4;
-    this.miningReward = 10;
-    this.consensusType = 'POW'; // POW or POS
+    this.emissionParams = { ...DEFAULT_EMISSION_PARAMS, ...options.emission };
+    this.maxBlockSize = 100000; // bytes, encoded
+    this.consensusType = options.consensusType || 'POW'; // POW, POS or BFT
+    this.slotDuration = options.slotDuration || DEFAULT_SLOT_DURATION; // POS only
+    this.ledgerModel = options.ledgerModel || 'ACCOUNT'; // ACCOUNT or UTXO
+    if (this.consensusType === 'POS' && this.ledgerModel !== 'ACCOUNT') {
+      throw new Error('Proof of stake requires the ACCOUNT ledger model');
+    }
+    // BFT: fixed set of validator public keys from config
+    this.validatorSet = this.consensusType === 'BFT' ? new ValidatorSet(options.validators) : null;
+    this.doubleSignDetector = new DoubleSignDetector();
+    this.utxoSet = new UTXOSet(this.emissionParams);
+    this.accountState = AccountState.fromChain(this.chain, this.emissionParams);
+    this.miningEngine = null; // optional multi-threaded miner
+    this.miningCancelled = false;
+    this.blockUndo = [this.utxoSet.applyBlock(this.chain[0])]; // per-height undo data for reorgs
+    this.historyMMR = MerkleMountainRange.fromBlockHashes([this.chain[0].hash]);
+    this.chainIndex = new ChainIndex(this);
+    this.chainIndex.indexBlock(this.chain[0]);
   }
 
   createGenesisBlock() {
-    return {
+    const genesis = {
       index: 0,
-      timestamp: Date.now(),
+      timestamp: GENESIS_TIMESTAMP,
       transactions: [],
       previousHash: '0',
-      hash: this.calculateHash(0, Date.now(), [], '0', 0),
+      hash: null,
       nonce: 0,
       validator: null
     };
+    genesis.hash = this.calculateHash(genesis);
+    return genesis;
+  }
+
+  // Fields covered by the block hash (the nonce is appended separately).
+  // Transactions are committed through their Merkle root so headers can be checked without bodies.
+  getHashHeader(block) {
+    return {
+      index: block.index,
+      timestamp: block.timestamp,
+      merkleRoot: this.computeMerkleRoot(block.transactions),
+      previousHash: block.previousHash,
+      difficulty: block.difficulty,
+      historyRoot: block.historyRoot,
+      // Proof-of-stake blocks also commit to their slot and proposer, which the signature covers
+      ...(this.consensusType === 'POS' && block.index > 0 ? { slot: block.slot, validator: block.validator } : {}),
+      // BFT blocks commit to the round they were built in, whose proposer must be their validator
+      ...(this.consensusType === 'BFT' && block.index > 0 ? { validator: block.validator, round: block.round } : {})
+    };
+  }
+
+  // Header as served to light clients: hashable fields plus nonce and hash
+  getHeader(block) {
+    return { ...this.getHashHeader(block), nonce: block.nonce, hash: block.hash };
+  }
+
+  // Returns null for bodies the hardened tree rejects (duplicated transactions)
+  computeMerkleRoot(transactions) {
+    if (transactions.length === 0) {
+      return '0'.repeat(64);
+    }
+
+    const transactionHashes = transactions.map(transaction =>
+      crypto.createHash('sha256').update(encodeTransaction(transaction)).digest('hex')
+    );
+
+    try {
+      return createMerkleTree(transactionHashes, { mode: MERKLE_MODES.HARDENED });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  calculateHash(block) {
+    return hashBlockHeader(this.getHashHeader(block), block.nonce);
   }
 
-  calculateHash(index, timestamp, transactions, previousHash, nonce) {
-    return crypto
-      .createHash('sha256')
-      .update(index + timestamp + JSON.stringify(transactions) + previousHash + nonce)
-      .digest('hex');
+  // Canonical encoding of everything hashed before the nonce; mining workers only need these bytes
+  getHashPrefix(block) {
+    return encodeBlockHashPrefix(this.getHashHeader(block));
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
+  // Load the persisted chain, or seed the store with genesis on first start
+  loadFromStore(blockStore) {
+    const storedBlocks = blockStore.open();
+
+    if (storedBlocks.length === 0) {
+      this.chain.forEach(block => blockStore.append(block));
+      blockStore.flush();
+    } else if (this.isValidChain(storedBlocks)) {
+      this.chain = storedBlocks;
+      this.rebuildState();
+    } else {
+      blockStore.close();
+      throw new Error(`Stored chain in ${blockStore.dataDir} failed validation`);
+    }
+
+    this.blockStore = blockStore;
+    console.log(`Loaded ${this.chain.length} blocks from ${blockStore.dataDir}`);
+  }
+
+  // Recompute derived state (UTXO set or account balances and nonces) from the current chain
+  rebuildState() {
+    this.historyMMR = MerkleMountainRange.fromBlockHashes(this.chain.map(block => block.hash));
+    this.chainIndex.rebuild(this.chain);
+
+    if (this.ledgerModel === 'UTXO') {
+      this.utxoSet = new UTXOSet(this.emissionParams);
+      this.blockUndo = this.chain.map(block => this.utxoSet.applyBlock(block));
+    } else {
+      this.accountState = AccountState.fromChain(this.chain, this.emissionParams);
+    }
+  }
+
+  // Confirmed state that transactions are checked against, for the configured ledger model
+  getLedgerState() {
+    return this.ledgerModel === 'UTXO' ? this.utxoSet : this.accountState;
+  }
+
+  createLedgerState() {
+    return this.ledgerModel === 'UTXO' ? new UTXOSet(this.emissionParams) : new AccountState(this.emissionParams);
+  }
+
+  getBlockSubsidy(height) {
+    return getBlockSubsidy(height, this.emissionParams);
+  }
+
+  // Issued, still-locked (immature reward) and spendable coins at the current tip
+  getSupply() {
+    const height = this.getLatestBlock().index;
+    const issued = getIssuedSupply(height, this.emissionParams);
+
+    // Rewards that cannot be spent in the next block yet
+    let immature = 0;
+    this.chain.slice(-this.emissionParams.coinbaseMaturity)
+      .filter(block => block.index > 0 && !isMature(block.index, height + 1, this.emissionParams))
+      .forEach(block => block.transactions
+        .filter(transaction => this.isRewardTransaction(transaction))
+        .forEach(transaction => { immature += this.getRewardAmount(transaction); }));
+
+    return {
+      height,
+      issuedSupply: issued,
+      immatureSupply: immature,
+      circulatingSupply: issued - immature,
+      maxSupply: this.emissionParams.maxSupply,
+      nextBlockSubsidy: this.getBlockSubsidy(height + 1),
+      nextHalvingHeight: getNextHalvingHeight(height, this.emissionParams),
+      coinbaseMaturity: this.emissionParams.coinbaseMaturity
+    };
+  }
+
   addBlock(newBlock) {
     if (this.isValidBlock(newBlock)) {
       this.chain.push(newBlock);
+      if (this.ledgerModel === 'UTXO') {
+        this.blockUndo.push(this.utxoSet.applyBlock(newBlock));
+      } else {
+        this.accountState.applyBlock(newBlock);
+      }
+      this.historyMMR.append(newBlock.hash);
+      this.chainIndex.indexBlock(newBlock);
+      if (this.blockStore) {
+        this.blockStore.append(newBlock);
+      }
       return true;
     }
     return false;
   }
 
-  isValidBlock(block) {
-    const previousBlock = this.getLatestBlock();
-    
+  // `requireCommit` is false only while BFT validators vote on a proposal that has no certificate yet
+  isValidBlock(block, previousBlock = this.getLatestBlock(), ledgerState = this.getLedgerState(), historyMMR = this.historyMMR, requireCommit = true) {
     // Check if previous hash matches
     if (block.previousHash !== previousBlock.hash) {
       return false;
     }
 
+    // The height picks the subsidy, the maturity window and the history root, so it must follow the parent
+    if (block.index !== previousBlock.index + 1) {
+      return false;
+    }
+
     // Check if hash is valid
-    const recalculatedHash = this.calculateHash(
-      block.index,
-      block.timestamp,
-      block.transactions,
-      block.previousHash,
-      block.nonce
-    );
+    const recalculatedHash = this.calculateHash(block);
 
     if (block.hash !== recalculatedHash) {
       return false;
     }
 
-    // Check proof of work
-    if (this.consensusType === 'POW') {
-      return this.validateProofOfWork(block, this.difficulty);
+    if (this.computeMerkleRoot(block.transactions) === null) {
+      return false;
+    }
+
+    if (encodeBlock(block).length > this.maxBlockSize) {
+      console.log(`Block ${block.index} rejected: larger than ${this.maxBlockSize} bytes`);
+      return false;
+    }
+
+    // The header must commit to the history of every block before it
+    if (block.historyRoot !== historyMMR.getRoot(block.index)) {
+      return false;
+    }
+
+    // Check proof of work, never below the network minimum
+    if (this.consensusType === 'POW' && !this.validateProofOfWork(block, this.getBlockDifficulty(block))) {
+      return false;
+    }
+
+    if (this.consensusType === 'POS' || this.consensusType === 'BFT') {
+      const error = this.consensusType === 'POS' ?
+        this.checkProposer(block, previousBlock, ledgerState, historyMMR) :
+        this.checkCommit(block, previousBlock, requireCommit);
+      if (error) {
+        console.log(`Block ${block.index} rejected: ${error}`);
+        return false;
+      }
+    }
+
+    // Every transaction except the mining reward must carry a valid signature;
+    // slashing evidence is authenticated by the signed headers it contains instead
+    const unsigned = block.transactions.find(transaction =>
+      !this.isRewardTransaction(transaction) && !this.isAuthorizedTransaction(transaction)
+    );
+    if (unsigned) {
+      console.log(`Block ${block.index} rejected: bad signature on ${unsigned.id}`);
+      return false;
+    }
+
+    // Reject blocks that spend missing outputs, overspend an account or replay a nonce
+    const error = ledgerState.checkBlock(block, this.getBlockSubsidy(block.index));
+    if (error) {
+      console.log(`Block ${block.index} rejected: ${error}`);
+      return false;
     }
 
     return true;
   }
 
+  isAuthorizedTransaction(transaction) {
+    return isSlashTransaction(transaction) ?
+      this.consensusType === 'POS' && verifySlashEvidence(transaction) :
+      Wallet.verifyTransactionSignature(transaction);
+  }
+
+  getSlot(timestamp) {
+    return getSlot(timestamp, this.slotDuration);
+  }
+
+  // Stake-weighted proposer for `slot` on top of `previousBlock`, drawn from the epoch's stake
+  // snapshot and seed; `accountState` and `historyMMR` hold the chain up to `previousBlock`.
+  // Null while the snapshot has no stake: during bootstrap any signer may propose
+  getExpectedProposer(previousBlock, slot, accountState = this.accountState, historyMMR = this.historyMMR) {
+    return selectEpochProposer(accountState, historyMMR, previousBlock.index + 1, slot);
+  }
+
+  // Proof-of-stake blocks may be at most one slot ahead of our clock
+  isFutureBlock(block) {
+    return this.consensusType === 'POS' && block.timestamp > Date.now() + this.slotDuration;
+  }
+
+  // Returns null when a proof-of-stake block has a valid slot and proposer signature
+  checkProposer(block, previousBlock, accountState, historyMMR) {
+    if (!Number.isInteger(block.slot) || block.slot !== this.getSlot(block.timestamp)) {
+      return 'Slot does not match timestamp';
+    }
+    if (block.slot <= this.getSlot(previousBlock.timestamp)) {
+      return 'Slot is not after the parent block';
+    }
+    if (this.isFutureBlock(block)) {
+      return 'Block is from a future slot';
+    }
+
+    const expected = this.getExpectedProposer(previousBlock, block.slot, accountState, historyMMR);
+    if (expected && block.validator !== expected) {
+      return `Wrong proposer for slot ${block.slot}: expected ${expected}`;
+    }
+
+    if (!verifySignedHeader(this.getSignedHeader(block))) {
+      return 'Invalid proposer signature';
+    }
+    return null;
+  }
+
+  // Returns null when a BFT block comes from a validator and carries a valid commit certificate
+  checkCommit(block, previousBlock, requireCommit = true) {
+    if (!(block.timestamp > previousBlock.timestamp)) {
+      return 'Timestamp is not after the parent block';
+    }
+    if (!this.validatorSet.has(block.validator)) {
+      return `${block.validator} is not a validator`;
+    }
+    if (!Number.isInteger(block.round) || block.validator !== this.validatorSet.getProposer(block.index, block.round)) {
+      return `Wrong proposer for round ${block.round}`;
+    }
+    if (!requireCommit) {
+      return null;
+    }
+
+    // A block can be committed in a later round than the one it was built in, after a re-proposal
+    if (!verifyCommitCertificate(block.commit, block, this.validatorSet) || block.commit.round < block.round) {
+      return 'Missing or invalid commit certificate';
+    }
+    return null;
+  }
+
+  // Header plus whatever authorizes the block under the active consensus, as sent to peers
+  getHeaderWithProof(block) {
+    switch (this.consensusType) {
+      case 'POS':
+        return this.getSignedHeader(block);
+      case 'BFT':
+        return { ...this.getHeader(block), commit: block.commit };
+      default:
+        return this.getHeader(block);
+    }
+  }
+
+  // Checks what can be checked without the body or parent state: the hash and the proof
+  // behind it (work, proposer signature or commit certificate)
+  isValidHeader(header) {
+    if (!header || !Number.isInteger(header.index) || header.index < 1) {
+      return false;
+    }
+
+    const { nonce, hash, signature, proposerPublicKey, commit, ...fields } = header;
+    try {
+      if (hashBlockHeader(fields, nonce) !== hash) {
+        return false;
+      }
+    } catch (error) {
+      return false;
+    }
+
+    switch (this.consensusType) {
+      case 'POS':
+        return verifySignedHeader(header);
+      case 'BFT':
+        return verifyCommitCertificate(commit, header, this.validatorSet) &&
+          Number.isInteger(header.round) && header.round <= commit.round &&
+          header.validator === this.validatorSet.getProposer(header.index, header.round);
+      default:
+        // validateProofOfWork bounds the claimed difficulty before using it
+        return this.validateProofOfWork(header, this.getBlockDifficulty(header));
+    }
+  }
+
+  // Hashes from the tip back to genesis: the last ten one by one, then exponentially sparser,
+  // so a peer can find where our chains diverge in one round trip
+  getBlockLocator() {
+    const locator = [];
+    let step = 1;
+    for (let height = this.chain.length - 1; height > 0; height -= step) {
+      locator.push(this.chain[height].hash);
+      if (locator.length >= 10) step *= 2;
+    }
+    locator.push(this.chain[0].hash);
+    return locator;
+  }
+
+  // Height of the first locator hash on our chain, i.e. the last block we have in common
+  findLocatorFork(locator) {
+    for (const hash of locator) {
+      const height = this.chainIndex.blockHashes.get(hash);
+      if (height !== undefined) return height;
+    }
+    return 0;
+  }
+
+  // Blocks after the common ancestor, up to and including `stopHash` or `limit` blocks
+  getBlocksAfter(locator, stopHash, limit) {
+    const blocks = [];
+    for (let height = this.findLocatorFork(locator) + 1; height < this.chain.length && blocks.length < limit; height++) {
+      blocks.push(this.chain[height]);
+      if (this.chain[height].hash === stopHash) break;
+    }
+    return blocks;
+  }
+
+  isValidProposal(block) {
+    return this.isValidBlock(block, this.getLatestBlock(), this.getLedgerState(), this.historyMMR, false);
+  }
+
+  getSignedHeader(block) {
+    return { ...this.getHeader(block), signature: block.signature, proposerPublicKey: block.proposerPublicKey };
+  }
+
+  // Remembers the block's signed header; returns a SLASH transaction if its proposer
+  // already signed a different block for the same slot
+  recordProposal(block) {
+    if (this.consensusType !== 'POS' || !block || block.index === 0) {
+      return null;
+    }
+    try {
+      return this.doubleSignDetector.record(this.getSignedHeader(block));
+    } catch (error) {
+      return null; // malformed block
+    }
+  }
+
+  isRewardTransaction(transaction) {
+    return isUTXOTransaction(transaction) ? isCoinbase(transaction) : transaction.from === null;
+  }
+
+  getRewardAmount(transaction) {
+    return isUTXOTransaction(transaction) ?
+      transaction.outputs.reduce((sum, output) => sum + output.amount, 0) :
+      transaction.amount;
+  }
+
   isValidChain(chain) {
-    if (JSON.stringify(chain[0]) !== JSON.stringify(this.createGenesisBlock())) {
+    if (chain[0].hash !== this.createGenesisBlock().hash || chain[0].hash !== this.calculateHash(chain[0])) {
       return false;
     }
 
+    const ledgerState = this.createLedgerState();
+    const historyMMR = MerkleMountainRange.fromBlockHashes([chain[0].hash]);
+    ledgerState.applyBlock(chain[0]);
+
     for (let i = 1; i < chain.length; i++) {
       const currentBlock = chain[i];
       const previousBlock = chain[i - 1];
@@ -347,17 +1254,51 @@ class EnhancedBlockchain {
         return false;
       }
 
-      if (!this.isValidBlock(currentBlock)) {
+      if (!this.isValidBlock(currentBlock, previousBlock, ledgerState, historyMMR)) {
         return false;
       }
+      historyMMR.append(currentBlock.hash);
+      ledgerState.applyBlock(currentBlock);
     }
 
     return true;
   }
 
+  // Expected number of hashes behind a block: 16^difficulty for hex-zero targets.
+  // Under proof of stake and BFT every block counts the same (longest chain)
+  getBlockWork(block) {
+    if (this.consensusType === 'POS' || this.consensusType === 'BFT') {
+      return 1n;
+    }
+    // Unchecked peer data: a chain with an out-of-range difficulty gets no credit and fails validation
+    const difficulty = this.getBlockDifficulty(block);
+    return this.isValidDifficulty(difficulty) ? 16n ** BigInt(difficulty) : 0n;
+  }
+
+  getChainWork(chain = this.chain) {
+    return chain.reduce((work, block) => work + this.getBlockWork(block), 0n);
+  }
+
+  findForkHeight(newChain) {
+    let forkHeight = 0;
+    while (forkHeight < this.chain.length &&
+           forkHeight < newChain.length &&
+           this.chain[forkHeight].hash === newChain[forkHeight].hash) {
+      forkHeight++;
+    }
+    return forkHeight;
+  }
+
+  // Fork choice by accumulated proof-of-work. Returns false, or a description of the switch
   replaceChain(newChain) {
-    if (newChain.length <= this.chain.length) {
-      console.log('Received chain is not longer than current chain');
+    // BFT commits are final: only chains that extend ours are acceptable
+    if (this.consensusType === 'BFT' && this.findForkHeight(newChain) < this.chain.length) {
+      console.log('Received chain conflicts with committed blocks');
+      return false;
+    }
+
+    if (this.getChainWork(newChain) <= this.getChainWork()) {
+      console.log('Received chain does not have more work than current chain');
       return false;
     }
 
@@ -366,45 +1307,159 @@ class EnhancedBlockchain {
       return false;
     }
 
-    console.log('Replacing blockchain with new chain');
+    const forkHeight = this.findForkHeight(newChain);
+    const orphanedBlocks = this.chain.slice(forkHeight);
+    const newBlocks = newChain.slice(forkHeight);
+    const oldTip = this.getLatestBlock();
+
+    console.log(`Replacing blockchain with new chain (fork at ${forkHeight}, ${orphanedBlocks.length} blocks rolled back)`);
+
+    // Roll state back to the fork point, then apply the new branch
+    if (this.ledgerModel === 'UTXO') {
+      for (let height = this.chain.length - 1; height >= forkHeight; height--) {
+        this.utxoSet.undoBlock(this.chain[height], this.blockUndo[height]);
+      }
+      this.blockUndo.length = forkHeight;
+      newBlocks.forEach(block => this.blockUndo.push(this.utxoSet.applyBlock(block)));
+    } else {
+      for (let height = this.chain.length - 1; height >= forkHeight; height--) {
+        this.accountState.undoBlock(this.chain[height]);
+      }
+      newBlocks.forEach(block => this.accountState.applyBlock(block));
+    }
+
+    // Unindex while the orphaned blocks are still in this.chain
+    for (let height = this.chain.length - 1; height >= forkHeight; height--) {
+      this.chainIndex.unindexBlock(this.chain[height]);
+    }
+
+    if (this.blockStore) {
+      this.blockStore.truncate(forkHeight);
+      newBlocks.forEach(block => this.blockStore.append(block));
+      this.blockStore.flush();
+    }
     this.chain = newChain;
-    return true;
+    this.historyMMR = MerkleMountainRange.fromBlockHashes(newChain.map(block => block.hash));
+    newBlocks.forEach(block => this.chainIndex.indexBlock(block));
+
+    const confirmedTransactionIds = new Set();
+    newBlocks.forEach(block => block.transactions.forEach(t => confirmedTransactionIds.add(t.id)));
+
+    const orphanedTransactions = [];
+    orphanedBlocks.forEach(block => block.transactions.forEach(transaction => {
+      if (!this.isRewardTransaction(transaction) && !confirmedTransactionIds.has(transaction.id)) {
+        orphanedTransactions.push(transaction);
+      }
+    }));
+
+    return {
+      oldTip: { index: oldTip.index, hash: oldTip.hash },
+      newTip: { index: this.getLatestBlock().index, hash: this.getLatestBlock().hash },
+      depth: orphanedBlocks.length,
+      forkHeight,
+      confirmedTransactionIds: Array.from(confirmedTransactionIds),
+      orphanedTransactions
+    };
+  }
+
+  // Difficulty claimed by a (possibly remote) block; the network minimum when it has none
+  getBlockDifficulty(block) {
+    return block.difficulty || this.difficulty;
+  }
+
+  // Checked before any work is computed from it, so a peer cannot make us build huge targets
+  isValidDifficulty(difficulty) {
+    return Number.isInteger(difficulty) && difficulty >= this.difficulty && difficulty <= MAX_DIFFICULTY;
   }
 
   validateProofOfWork(block, difficulty) {
-    return block.hash.substring(0, difficulty) === Array(difficulty + 1).join('0');
+    return this.isValidDifficulty(difficulty) && typeof block.hash === 'string' &&
+      block.hash.startsWith('0'.repeat(difficulty));
+  }
+
+  // Builds and signs the block for the current slot if `wallet` is its proposer, otherwise null
+  proposeBlock(transactions, wallet) {
+    const previousBlock = this.getLatestBlock();
+    const timestamp = Date.now();
+    const slot = this.getSlot(timestamp);
+
+    if (slot <= this.getSlot(previousBlock.timestamp)) {
+      return null; // this slot already has a block
+    }
+
+    const expected = this.getExpectedProposer(previousBlock, slot);
+    if (expected && expected !== wallet.address) {
+      return null;
+    }
+
+    const block = {
+      index: this.chain.length,
+      timestamp,
+      transactions,
+      previousHash: previousBlock.hash,
+      difficulty: 0,
+      historyRoot: this.historyMMR.getRoot(),
+      slot,
+      validator: wallet.address,
+      nonce: 0
+    };
+    block.hash = this.calculateHash(block);
+    block.proposerPublicKey = wallet.publicKey;
+    block.signature = Wallet.signData(block.hash, wallet);
+    return block;
   }
 
-  validateStake(validator, stake) {
-    // Simplified stake validation - in real implementation, 
-    // check validator's actual stake in the network
-    return stake > 0 && validator && validator.length > 0;
+  // Unsigned BFT proposal on top of the tip; validators vote on it and attach the commit certificate
+  createBftBlock(transactions, validatorAddress, round) {
+    const previousBlock = this.getLatestBlock();
+    const block = {
+      index: this.chain.length,
+      timestamp: Math.max(Date.now(), previousBlock.timestamp + 1),
+      transactions,
+      previousHash: previousBlock.hash,
+      difficulty: 0,
+      historyRoot: this.historyMMR.getRoot(),
+      validator: validatorAddress,
+      round,
+      nonce: 0
+    };
+    block.hash = this.calculateHash(block);
+    return block;
   }
 
+  // Resolves with the mined block, or null if mining was cancelled
   async mineBlock(transactions, minerAddress) {
-    return new Promise((resolve) => {
-      const block = {
-        index: this.chain.length,
-        timestamp: Date.now(),
-        transactions: transactions,
-        previousHash: this.getLatestBlock().hash,
-        nonce: 0
-      };
+    const block = {
+      index: this.chain.length,
+      timestamp: Date.now(),
+      transactions: transactions,
+      previousHash: this.getLatestBlock().hash,
+      difficulty: this.difficulty,
+      historyRoot: this.historyMMR.getRoot(),
+      nonce: 0
+    };
+
+    if (this.miningEngine) {
+      return this.mineBlockWithEngine(block, minerAddress);
+    }
+
+    this.miningCancelled = false;
 
+    return new Promise((resolve) => {
       console.log(`Mining block ${block.index}...`);
       const startTime = Date.now();
 
       const mineStep = () => {
+        if (this.miningCancelled) {
+          console.log(`Mining of block ${block.index} cancelled`);
+          resolve(null);
+          return;
+        }
+
         const stepStartTime = Date.now();
         
         while (Date.now() - stepStartTime < 50) { // Mine for max 50ms per step
-          block.hash = this.calculateHash(
-            block.index,
-            block.timestamp,
-            block.transactions,
-            block.previousHash,
-            block.nonce
-          );
+          block.hash = this.calculateHash(block);
 
           if (this.validateProofOfWork(block, this.difficulty)) {
             const miningTime = Date.now() - startTime;
@@ -426,29 +1481,62 @@ class EnhancedBlockchain {
     });
   }
 
-  getBalance(address) {
-    let balance = 0;
+  async mineBlockWithEngine(block, minerAddress) {
+    console.log(`Mining block ${block.index} on ${this.miningEngine.threads} threads...`);
+    const startTime = Date.now();
 
-    for (const block of this.chain) {
-      for (const transaction of block.transactions) {
-        if (transaction.from === address) {
-          balance -= transaction.amount;
-        }
-        if (transaction.to === address) {
-          balance += transaction.amount;
-        }
-      }
+    const prefix = this.getHashPrefix(block);
+    const result = await this.miningEngine.mine(prefix, block.difficulty, { index: block.index });
+
+    if (!result) {
+      console.log(`Mining of block ${block.index} cancelled`);
+      return null;
+    }
+
+    block.nonce = result.nonce;
+    block.hash = result.hash;
+    block.validator = minerAddress;
+    console.log(`Block mined in ${Date.now() - startTime}ms with nonce: ${block.nonce} (${this.miningEngine.hashRate} H/s)`);
+    return block;
+  }
+
+  cancelMining() {
+    this.miningCancelled = true;
+    if (this.miningEngine) {
+      this.miningEngine.cancel();
+    }
+  }
+
+  getBalance(address) {
+    if (this.ledgerModel === 'UTXO') {
+      return this.utxoSet.getBalance(address);
     }
 
-    return balance;
+    return this.accountState.getBalance(address);
+  }
+
+  // Next nonce the account must use, ignoring pending transactions
+  getNonce(address) {
+    return this.accountState.getNonce(address);
+  }
+
+  // Commit every known account balance into a single sparse Merkle root
+  getStateTree() {
+    const addresses = Array.from(this.chainIndex.addressHistory.keys());
+
+    return SparseMerkleTree.fromEntries(
+      addresses.map(address => [SparseMerkleTree.keyFor(address), this.getBalance(address)])
+    );
   }
 }
 
 // Transaction Pool Management
 class TransactionPool {
-  constructor() {
+  constructor(blockchain) {
+    this.blockchain = blockchain;
     this.transactions = [];
     this.maxPoolSize = 1000;
+    this.minRelayFeePerKb = 0.001;
   }
 
   updateOrAddTransaction(transaction) {
@@ -457,45 +1545,206 @@ class TransactionPool {
     if (existingTransaction) {
       // Update existing transaction
       Object.assign(existingTransaction, transaction);
+      return;
+    }
+
+    // Replace-by-fee: the new transaction takes over its conflict's nonce
+    const conflict = this.findConflict(transaction);
+    if (conflict) {
+      this.transactions = this.transactions.filter(t => t !== conflict);
+    }
+    this.transactions.push(transaction);
+
+    if (conflict) {
+      this.revalidate(); // later transactions from the sender may no longer be affordable
     } else {
-      // Add new transaction
-      if (this.transactions.length >= this.maxPoolSize) {
-        // Remove oldest transaction
-        this.transactions.shift();
-      }
-      this.transactions.push(transaction);
+      this.trimToSize();
+    }
+  }
+
+  // A pooled transaction from the same sender with the same nonce
+  findConflict(transaction) {
+    if (isUTXOTransaction(transaction) || !transaction.from) {
+      return null;
     }
+    return this.transactions.find(t =>
+      t.id !== transaction.id && t.from === transaction.from && t.nonce === transaction.nonce
+    ) || null;
   }
 
+  // Admission check for a new transaction: signed, not already pooled, paying at least the relay
+  // fee, and still valid against confirmed state with every pending transaction applied first
   validTransaction(transaction) {
-    // Basic validation
-    if (!transaction.from || !transaction.to || !transaction.amount) {
+    if (!transaction || this.transactions.some(t => t.id === transaction.id)) {
       return false;
     }
 
-    if (transaction.amount <= 0) {
+    if (!this.blockchain.isAuthorizedTransaction(transaction)) {
       return false;
     }
 
-    // Check for duplicate transactions
-    const duplicate = this.transactions.find(t => 
-      t.from === transaction.from && 
-      t.to === transaction.to && 
-      t.amount === transaction.amount &&
-      t.timestamp === transaction.timestamp
-    );
+    const fee = this.getFees([...this.transactions, transaction]).get(transaction.id);
+    const feeRate = this.getFeeRates([...this.transactions, transaction]).get(transaction.id);
+    if (!(feeRate >= this.minRelayFeePerKb)) {
+      return false;
+    }
+
+    const conflict = this.findConflict(transaction);
+    if (conflict) {
+      // A replacement must pay the old fee plus the relay fee for its own size
+      const minimumFee = this.getFee(conflict) + this.minRelayFeePerKb * getTransactionSize(transaction) / 1000;
+      if (fee < minimumFee) {
+        return false;
+      }
+    } else if (this.transactions.length >= this.maxPoolSize) {
+      // When full, only accept transactions that pay more than the cheapest entry
+      if (feeRate <= Math.min(...this.getFeeRates(this.transactions).values())) {
+        return false;
+      }
+    }
+
+    const others = this.transactions.filter(t => t !== conflict);
+    return this.selectValid([...others, transaction]).includes(transaction);
+  }
+
+  // Fees by transaction id; UTXO inputs may be outputs of other transactions in `transactions`
+  getFees(transactions = this.transactions) {
+    const ledgerState = this.blockchain.getLedgerState();
+    const pooledOutputs = new Map();
+    transactions.filter(isUTXOTransaction).forEach(t => t.outputs.forEach((output, outputIndex) => {
+      pooledOutputs.set(outputKey(t.id, outputIndex), { txId: t.id, outputIndex, ...output });
+    }));
+
+    return new Map(transactions.map(t => [t.id, ledgerState.getFee(t, pooledOutputs)]));
+  }
+
+  getFee(transaction) {
+    return this.getFees([...this.transactions, transaction]).get(transaction.id);
+  }
+
+  // Slashing evidence pays no fee but always takes priority
+  getFeeRates(transactions = this.transactions) {
+    const fees = this.getFees(transactions);
+    return new Map(transactions.map(t => [t.id, isSlashTransaction(t) ? Infinity : getFeeRate(fees.get(t.id), t)]));
+  }
+
+  // Evict the lowest fee-rate transactions (and anything depending on them) until the pool fits
+  trimToSize() {
+    while (this.transactions.length > this.maxPoolSize) {
+      const feeRates = this.getFeeRates();
+      const lowest = this.transactions.reduce((min, t) => feeRates.get(t.id) < feeRates.get(min.id) ? t : min);
+      this.transactions = this.selectValid(this.transactions.filter(t => t !== lowest));
+    }
+  }
 
-    return !duplicate;
+  // The transactions that can be applied together on top of the confirmed ledger.
+  // Sorting by nonce keeps each sender's transactions in sequence (UTXO transactions have none)
+  selectValid(transactions) {
+    const ordered = transactions.slice().sort((a, b) => (a.nonce || 0) - (b.nonce || 0));
+    return this.blockchain.getLedgerState().filterValidTransactions(ordered);
   }
 
   getValidTransactions() {
-    return this.transactions.filter(transaction => this.validTransaction(transaction));
+    return this.selectValid(this.transactions);
+  }
+
+  // Re-check every entry after the chain moved, dropping confirmed, replayed or
+  // unaffordable ones. `returnedTransactions` (e.g. from orphaned blocks) are re-admitted too
+  revalidate(returnedTransactions = []) {
+    const pooledIds = new Set(this.transactions.map(t => t.id));
+    const returned = returnedTransactions.filter(transaction =>
+      !pooledIds.has(transaction.id) && this.blockchain.isAuthorizedTransaction(transaction)
+    );
+
+    this.transactions = this.selectValid([...returned, ...this.transactions]);
+    this.trimToSize();
+  }
+
+  // Which other candidates a transaction needs in the block before it
+  getDependencies(transaction, candidates) {
+    if (isUTXOTransaction(transaction)) {
+      const parents = new Set(transaction.inputs.map(input => input.txId));
+      return candidates.filter(t => parents.has(t.id));
+    }
+    return candidates.filter(t => t.from === transaction.from && t.nonce < transaction.nonce);
+  }
+
+  // Block template: highest fee-rate transactions that fit in `maxBytes`, each after its dependencies
+  selectForBlock(maxBytes = this.blockchain.maxBlockSize - BLOCK_SIZE_RESERVE) {
+    const candidates = this.getValidTransactions();
+    const feeRates = this.getFeeRates(candidates);
+    const dependencies = new Map(candidates.map(t => [t.id, this.getDependencies(t, candidates)]));
+    const selectedIds = new Set();
+    const selected = [];
+    let size = 0;
+
+    for (;;) {
+      const next = candidates
+        .filter(t => !selectedIds.has(t.id) &&
+          dependencies.get(t.id).every(parent => selectedIds.has(parent.id)) &&
+          size + getTransactionSize(t) <= maxBytes)
+        .reduce((best, t) => !best || feeRates.get(t.id) > feeRates.get(best.id) ? t : best, null);
+
+      if (!next) break;
+      selectedIds.add(next.id);
+      selected.push(next);
+      size += getTransactionSize(next);
+    }
+
+    // Transfers between pending senders can make a partial selection inconsistent, so check it as a whole
+    return this.blockchain.getLedgerState().filterValidTransactions(selected);
+  }
+
+  // Fee rates (per kB) from the last `blockCount` blocks and from the next block template
+  estimateFees(blockCount = 10) {
+    const recentRates = [];
+    this.blockchain.chain.slice(-blockCount).forEach(block => block.transactions
+      .filter(t => !this.blockchain.isRewardTransaction(t))
+      .forEach(t => recentRates.push(getFeeRate(this.blockchain.chainIndex.getFee(t), t))));
+    recentRates.sort((a, b) => a - b);
+
+    const percentile = (p) => recentRates.length ? recentRates[Math.floor((recentRates.length - 1) * p)] : 0;
+
+    // If the pool holds more than one block, the cheapest template entry is the rate to beat
+    const template = this.selectForBlock();
+    const templateRates = this.getFeeRates(template);
+    const nextBlock = template.length < this.transactions.length && template.length > 0 ?
+      Math.min(...templateRates.values()) : 0;
+
+    const slow = this.minRelayFeePerKb;
+    const normal = Math.max(slow, nextBlock, percentile(0.5));
+    const fast = Math.max(normal, percentile(0.9));
+
+    return {
+      unit: 'per kB',
+      minRelayFeePerKb: this.minRelayFeePerKb,
+      recentBlocks: { blocks: Math.min(blockCount, this.blockchain.chain.length), transactions: recentRates.length },
+      pool: {
+        count: this.transactions.length,
+        bytes: this.transactions.reduce((sum, t) => sum + getTransactionSize(t), 0)
+      },
+      nextBlockFeePerKb: nextBlock,
+      slow,
+      normal,
+      fast
+    };
+  }
+
+  // Fee for a transaction of `size` bytes at the given estimate
+  suggestFee(size, speed = 'normal') {
+    return Math.ceil(this.estimateFees()[speed] * size) / 1000;
   }
 
   clear() {
     this.transactions = [];
   }
 
+  // Next nonce for `address`, counting its transactions already waiting in the pool
+  getNextNonce(address) {
+    const pending = this.transactions.filter(t => t.from === address).length;
+    return this.blockchain.getNonce(address) + pending;
+  }
+
   getTransactionsByAddress(address) {
     return this.transactions.filter(t => t.from === address || t.to === address);
   }
@@ -509,26 +1758,129 @@ class TransactionPool {
   }
 }
 
+const SECRET_FILE_MODE = 0o600; // wallet and node keys: owner read/write only
+
 // Complete Blockchain Node Implementation
 class BlockchainNode extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
-    this.blockchain = new EnhancedBlockchain();
-    this.transactionPool = new TransactionPool();
+    this.dataDir = options.dataDir || null;
+    this.networkId = options.networkId;
+    this.listenAddress = options.listenAddress;
+    this.allowedPeerKeys = options.allowedPeerKeys;
+    this.nodeIdentity = createNodeIdentity();
+    this.blockchain = new EnhancedBlockchain({
+      ledgerModel: options.ledgerModel,
+      consensusType: options.consensusType,
+      slotDuration: options.slotDuration,
+      validators: options.validators,
+      emission: options.emission
+    });
+    this.bftTimeouts = options.bftTimeouts;
+    this.orphanLimits = options.orphans; // { maxBlocks, maxAge }
+    this.peerPolicy = options.peerPolicy; // see DEFAULT_PEER_POLICY
+    this.bootstrapNodes = options.bootstrapNodes || []; // ws:// addresses dialed to join the network
+    this.adminToken = options.adminToken;
+    if (options.miningThreads !== 0) {
+      this.blockchain.miningEngine = new MiningEngine({ threads: options.miningThreads });
+    }
+    this.transactionPool = new TransactionPool(this.blockchain);
     this.wallet = this.generateWallet();
     this.isMining = false;
+    this.savedPeers = [];
+    this.savedBans = null;
+    this.loadState();
+    this.consensusEngine = this.createConsensusEngine();
     this.setupEventHandlers();
   }
 
+  // BFT validators run the voting engine; other BFT nodes only verify commit certificates
+  createConsensusEngine() {
+    const { validatorSet } = this.blockchain;
+    if (!validatorSet || !validatorSet.has(this.wallet.address)) {
+      return null;
+    }
+
+    return new BFTEngine(validatorSet, this.wallet, {
+      getHeight: () => this.blockchain.chain.length,
+      createBlock: (height, round) => this.blockchain.createBftBlock(this.createBlockTransactions(), this.wallet.address, round),
+      isValidProposal: (block) => this.blockchain.isValidProposal(block),
+      commitBlock: (block) => this.commitBlock(block),
+      resync: () => this.p2pServer && this.p2pServer.chainSync.start(),
+      broadcast: (message) => this.p2pServer && this.p2pServer.broadcast(message)
+    }, this.bftTimeouts);
+  }
+
+  commitBlock(block) {
+    if (!this.blockchain.addBlock(block)) {
+      return false;
+    }
+    this.transactionPool.revalidate();
+    // Non-validators and lagging validators follow through the certified block
+    this.p2pServer.broadcastBlock(block);
+    console.log(`Committed block ${block.index} in round ${block.commit.round}`);
+    return true;
+  }
+
+  // Restore chain, mempool and known peers from the data directory (if configured)
+  loadState() {
+    if (!this.dataDir) return;
+
+    // Keep the same keys across restarts, otherwise mined funds become unspendable
+    const walletPath = path.join(this.dataDir, 'wallet.json');
+    const savedWallet = readJson(walletPath, null);
+    if (savedWallet) {
+      this.wallet = savedWallet;
+      fs.chmodSync(walletPath, SECRET_FILE_MODE);
+    } else {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      writeJsonAtomic(walletPath, this.wallet, SECRET_FILE_MODE);
+    }
+
+    // Same for the P2P identity, so peers (and allowlists) keep recognising this node
+    const identityPath = path.join(this.dataDir, 'node-key.json');
+    const savedIdentity = readJson(identityPath, null);
+    if (savedIdentity) {
+      this.nodeIdentity = savedIdentity;
+      fs.chmodSync(identityPath, SECRET_FILE_MODE);
+    } else {
+      writeJsonAtomic(identityPath, this.nodeIdentity, SECRET_FILE_MODE);
+    }
+
+    this.blockchain.loadFromStore(new BlockStore(path.join(this.dataDir, 'blocks')));
+
+    this.transactionPool.revalidate(readJson(path.join(this.dataDir, 'mempool.json'), []));
+
+    this.savedPeers = readJson(path.join(this.dataDir, 'peers.json'), []);
+    this.savedBans = readJson(path.join(this.dataDir, 'bans.json'), null);
+  }
+
+  saveState() {
+    if (!this.dataDir) return;
+
+    writeJsonAtomic(path.join(this.dataDir, 'mempool.json'), this.transactionPool.transactions);
+
+    const knownPeers = new Set(this.savedPeers);
+    if (this.p2pServer) {
+      this.p2pServer.knownPeers.forEach(address => knownPeers.add(address));
+    }
+    writeJsonAtomic(path.join(this.dataDir, 'peers.json'), Array.from(knownPeers));
+
+    if (this.p2pServer) {
+      writeJsonAtomic(path.join(this.dataDir, 'bans.json'), this.p2pServer.peerManager.toJSON());
+    }
+  }
+
+  shutdown() {
+    this.saveState();
+    if (this.blockchain.blockStore) {
+      this.blockchain.blockStore.close();
+    }
+  }
+
   generateWallet() {
-    const privateKey = crypto.randomBytes(32);
-    const publicKey = crypto.createHash('sha256').update(privateKey).digest('hex');
-    
-    return {
-      privateKey: privateKey.toString('hex'),
-      publicKey: publicKey,
-      address: publicKey.substring(0, 34) // Simplified address generation
-    };
+    // secp256k1 keypair; the address is derived from the public key
+    return Wallet.createWallet();
   }
 
   setupEventHandlers() {
@@ -545,17 +1897,36 @@ class BlockchainNode extends EventEmitter {
     });
 
     // Handle chain replacement
+    // The P2P server already pruned confirmed transactions and re-queued orphaned ones
     this.on('chainReplaced', (newChain) => {
-      console.log('Blockchain replaced with longer chain');
-      this.transactionPool.clear(); // Clear transaction pool
+      console.log('Blockchain replaced with chain that has more work');
+    });
+
+    this.on('chainReorganized', ({ oldTip, newTip, depth }) => {
+      console.log(`Chain reorganized: depth ${depth}, tip ${oldTip.hash} -> ${newTip.hash}`);
+      this.stopMining();
     });
   }
 
   startServer(httpPort, p2pPort) {
     // Initialize P2P server
-    this.p2pServer = new P2PServer(this.blockchain, this.transactionPool);
+    this.p2pServer = new P2PServer(this.blockchain, this.transactionPool, {
+      networkId: this.networkId,
+      listenAddress: this.listenAddress,
+      identity: this.nodeIdentity,
+      allowedPeerKeys: this.allowedPeerKeys,
+      consensusEngine: this.consensusEngine,
+      orphans: this.orphanLimits,
+      peerPolicy: this.peerPolicy,
+      bans: this.savedBans,
+      bootstrapNodes: this.bootstrapNodes
+    });
     
     // Forward P2P events to blockchain node
+    this.p2pServer.on('blockReceived', () => {
+      if (this.consensusEngine) this.consensusEngine.syncHeight();
+    });
+
     this.p2pServer.on('transactionReceived', (transaction) => {
       this.emit('transactionReceived', transaction);
     });
@@ -568,6 +1939,13 @@ class BlockchainNode extends EventEmitter {
       this.emit('chainReplaced', chain);
     });
 
+    this.p2pServer.on('chainReorganized', (reorg) => {
+      this.emit('chainReorganized', reorg);
+    });
+
+    // Persist bans right away so a restart does not let the peer straight back in
+    this.p2pServer.on('peerBanned', () => this.saveState());
+
     // Start P2P server
     this.p2pServer.listen(p2pPort);
     this.p2pServer.startCleanupTimer();
@@ -582,8 +1960,29 @@ class BlockchainNode extends EventEmitter {
       console.log(`Node ready to accept connections`);
     });
 
-    // Start auto-mining if enabled
-    this.startAutoMining();
+    // Join through the bootstrap nodes, falling back to peers remembered from the previous run
+    this.p2pServer.discovery.start(this.savedPeers);
+
+    if (this.dataDir) {
+      setInterval(() => this.saveState(), 10000).unref();
+    }
+
+    // BFT validators vote instead of mining
+    if (this.blockchain.consensusType === 'BFT') {
+      if (this.consensusEngine) this.consensusEngine.start();
+    } else {
+      this.startAutoMining();
+    }
+  }
+
+  // Admin routes need the configured token, or come from this machine when none is set
+  isAdminRequest(req) {
+    if (this.adminToken) {
+      const token = Buffer.from(String(req.get('x-admin-token') || ''));
+      const expected = Buffer.from(this.adminToken);
+      return token.length === expected.length && crypto.timingSafeEqual(token, expected);
+    }
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
   }
 
   setupHTTPAPI() {
@@ -610,19 +2009,84 @@ class BlockchainNode extends EventEmitter {
       }
     });
 
+    // Get block by hash
+    this.app.get('/api/blocks/hash/:hash', (req, res) => {
+      const block = this.blockchain.chainIndex.getBlockByHash(req.params.hash);
+
+      if (block) {
+        res.json(block);
+      } else {
+        res.status(404).json({ error: 'Block not found' });
+      }
+    });
+
+    // Look up a transaction, confirmed or pending
+    this.app.get('/api/tx/:id', (req, res) => {
+      const confirmed = this.blockchain.chainIndex.getTransaction(req.params.id);
+      if (confirmed) {
+        return res.json({ status: 'confirmed', ...confirmed });
+      }
+
+      const pending = this.transactionPool.transactions.find(t => t.id === req.params.id);
+      if (pending) {
+        return res.json({ status: 'pending', transaction: pending });
+      }
+
+      res.status(404).json({ error: 'Transaction not found' });
+    });
+
+    // Paginated transaction history for an address, newest first
+    this.app.get('/api/address/:addr/txs', (req, res) => {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+      res.json({
+        ...this.blockchain.chainIndex.getAddressTransactions(req.params.addr, { page, limit }),
+        balance: this.blockchain.chainIndex.getBalance(req.params.addr)
+      });
+    });
+
+    // Prove that a block is in the canonical chain, against the latest header's historyRoot
+    this.app.get('/api/blocks/:index/proof', (req, res) => {
+      const blockIndex = parseInt(req.params.index);
+      const block = this.blockchain.chain[blockIndex];
+      const tip = this.blockchain.getLatestBlock();
+
+      if (!block) {
+        return res.status(404).json({ error: 'Block not found' });
+      }
+
+      if (block === tip) {
+        return res.status(400).json({ error: 'Block is the chain tip; compare its hash with the latest header' });
+      }
+
+      res.json({
+        blockHash: block.hash,
+        tipHeader: this.blockchain.getHeader(tip),
+        proof: this.blockchain.historyMMR.getProof(blockIndex, tip.index)
+      });
+    });
+
     // Submit transaction
     this.app.post('/api/transactions', (req, res) => {
       try {
-        const { from, to, amount } = req.body;
-        
-        const transaction = {
-          id: crypto.randomUUID(),
-          from: from || this.wallet.address,
-          to,
-          amount: parseFloat(amount),
-          timestamp: Date.now(),
-          signature: this.signTransaction({ from, to, amount })
-        };
+        const { from, to, amount, fee, signature } = req.body;
+        let transaction;
+
+        if (signature) {
+          // Already signed by the client
+          transaction = req.body;
+        } else {
+          if (from && from !== this.wallet.address) {
+            throw new Error('Node can only sign for its own address');
+          }
+
+          transaction = this.createTransaction(to, parseFloat(amount), fee === undefined ? undefined : parseFloat(fee));
+        }
+
+        if (!this.transactionPool.validTransaction(transaction)) {
+          throw new Error('Invalid transaction or signature');
+        }
 
         this.transactionPool.updateOrAddTransaction(transaction);
         this.p2pServer.broadcastTransaction(transaction);
@@ -636,6 +2100,40 @@ class BlockchainNode extends EventEmitter {
       }
     });
 
+    // Move funds from the node's balance into stake, or back (proof of stake only)
+    ['stake', 'unstake'].forEach(action => {
+      this.app.post(`/api/${action}`, (req, res) => {
+        try {
+          if (this.blockchain.consensusType !== 'POS') {
+            throw new Error('Staking requires proof-of-stake consensus');
+          }
+
+          const { amount, fee } = req.body;
+          const transaction = this.createTransaction(
+            undefined,
+            parseFloat(amount),
+            fee === undefined ? undefined : parseFloat(fee),
+            action.toUpperCase()
+          );
+
+          if (!this.transactionPool.validTransaction(transaction)) {
+            throw new Error(`Invalid ${action} transaction`);
+          }
+
+          this.transactionPool.updateOrAddTransaction(transaction);
+          this.p2pServer.broadcastTransaction(transaction);
+
+          res.status(201).json({
+            message: `${action === 'stake' ? 'Stake' : 'Unstake'} transaction submitted`,
+            transaction,
+            stake: this.blockchain.accountState.getStake(this.wallet.address)
+          });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+    });
+
     // Get transaction pool
     this.app.get('/api/transactions/pool', (req, res) => {
       res.json({
@@ -644,6 +2142,16 @@ class BlockchainNode extends EventEmitter {
       });
     });
 
+    // Issued and circulating supply under the emission schedule
+    this.app.get('/api/supply', (req, res) => {
+      res.json(this.blockchain.getSupply());
+    });
+
+    // Fee rates needed to get into upcoming blocks
+    this.app.get('/api/fees/estimate', (req, res) => {
+      res.json(this.transactionPool.estimateFees(parseInt(req.query.blocks) || undefined));
+    });
+
     // Mine block
     this.app.post('/api/mine', async (req, res) => {
       try {
@@ -652,6 +2160,10 @@ class BlockchainNode extends EventEmitter {
         }
 
         const block = await this.mineBlock();
+        if (!block) {
+          return res.status(409).json({ error: 'Mining cancelled by a competing block' });
+        }
+
         res.json({
           message: 'Block mined successfully',
           block
@@ -661,25 +2173,79 @@ class BlockchainNode extends EventEmitter {
       }
     });
 
-    // Get balance
+    // Miner status and hash rate
+    this.app.get('/api/miner', (req, res) => {
+      const engine = this.blockchain.miningEngine;
+      res.json(engine ? engine.getStatus() : { isMining: this.isMining, threads: 0 });
+    });
+
+    // Configure the number of mining threads (applies from the next block)
+    this.app.put('/api/miner', (req, res) => {
+      try {
+        if (!this.blockchain.miningEngine) {
+          this.blockchain.miningEngine = new MiningEngine();
+        }
+        this.blockchain.miningEngine.setThreads(req.body.threads);
+        res.json(this.blockchain.miningEngine.getStatus());
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Get balance, from the address index rather than the ledger
     this.app.get('/api/balance/:address?', (req, res) => {
       const address = req.params.address || this.wallet.address;
-      const balance = this.blockchain.getBalance(address);
-      
+      const balance = this.blockchain.chainIndex.getBalance(address);
+
       res.json({
         address,
-        balance
+        balance,
+        immature: this.blockchain.getLedgerState().getImmatureBalance(address),
+        nonce: this.blockchain.getNonce(address),
+        nextNonce: this.transactionPool.getNextNonce(address),
+        ...(this.blockchain.consensusType === 'POS' ? { stake: this.blockchain.accountState.getStake(address) } : {})
+      });
+    });
+
+    // Get state root and a (non-)membership proof for an address
+    this.app.get('/api/state/proof/:address', (req, res) => {
+      const stateTree = this.blockchain.getStateTree();
+
+      res.json({
+        address: req.params.address,
+        stateRoot: stateTree.getRoot(),
+        proof: stateTree.getProof(SparseMerkleTree.keyFor(req.params.address))
       });
     });
 
     // Get peers
     this.app.get('/api/peers', (req, res) => {
+      const { policy } = this.p2pServer.peerManager;
       res.json({
         peers: this.p2pServer.getConnectedPeers(),
-        count: this.p2pServer.peers.size
+        count: this.p2pServer.peers.size,
+        connections: {
+          ...this.p2pServer.getConnectionCounts(),
+          maxInbound: policy.maxInbound,
+          maxOutbound: policy.maxOutbound
+        },
+        bans: this.p2pServer.peerManager.getBans(),
+        discovery: this.p2pServer.discovery.getStatus()
       });
     });
 
+    // Lift a ban, e.g. DELETE /api/admin/bans/node:<nodeId> or /api/admin/bans/address:<address>
+    this.app.delete('/api/admin/bans/:key', (req, res) => {
+      if (!this.isAdminRequest(req)) {
+        return res.status(403).json({ error: 'Admin access required' });
+      }
+      if (!this.p2pServer.peerManager.unban(req.params.key)) {
+        return res.status(404).json({ error: 'No ban for this key' });
+      }
+      this.saveState();
+      res.json({ message: `Unbanned ${req.params.key}` });
+    });
+
     // Connect to peer
     this.app.post('/api/peers', (req, res) => {
       const { address } = req.body;
@@ -696,19 +2262,48 @@ class BlockchainNode extends EventEmitter {
     this.app.get('/api/info', (req, res) => {
       res.json({
         nodeAddress: this.wallet.address,
+        nodeId: this.p2pServer.nodeId,
+        nodePublicKey: this.p2pServer.identity.publicKey,
+        networkId: this.p2pServer.networkId,
+        protocolVersion: PROTOCOL_VERSION,
         chainLength: this.blockchain.chain.length,
         pendingTransactions: this.transactionPool.getPoolSize(),
         connectedPeers: this.p2pServer.peers.size,
+        orphanBlocks: this.p2pServer.orphanPool.size,
         difficulty: this.blockchain.difficulty,
+        chainWork: this.blockchain.getChainWork().toString(),
         isMining: this.isMining,
-        consensusType: this.blockchain.consensusType
+        consensusType: this.blockchain.consensusType,
+        ledgerModel: this.blockchain.ledgerModel
+      });
+    });
+
+    // BFT round state and validator set
+    this.app.get('/api/consensus', (req, res) => {
+      const { validatorSet } = this.blockchain;
+      if (!validatorSet) {
+        return res.status(404).json({ error: 'Node is not running BFT consensus' });
+      }
+
+      res.json({
+        validators: validatorSet.addresses,
+        quorum: validatorSet.getQuorum(),
+        maxFaulty: validatorSet.getMaxFaulty(),
+        isValidator: validatorSet.has(this.wallet.address),
+        state: this.consensusEngine ? this.consensusEngine.getState() : null,
+        lastCommit: this.blockchain.getLatestBlock().commit || null
       });
     });
 
     // Sync with peers
     this.app.post('/api/sync', (req, res) => {
       this.p2pServer.broadcastChain();
-      res.json({ message: 'Sync initiated' });
+      this.p2pServer.chainSync.start();
+      res.json({ message: 'Sync initiated', status: this.p2pServer.chainSync.getStatus() });
+    });
+
+    this.app.get('/api/sync', (req, res) => {
+      res.json(this.p2pServer.chainSync.getStatus());
     });
   }
 
@@ -717,30 +2312,29 @@ class BlockchainNode extends EventEmitter {
       throw new Error('Mining already in progress');
     }
 
-    if (this.transactionPool.getPoolSize() === 0) {
-      throw new Error('No transactions to mine');
+    if (this.blockchain.consensusType === 'BFT') {
+      throw new Error('BFT blocks are committed by the validator set, not mined');
     }
 
+    // Blocks may carry only the reward: that is how the first coins come into existence
+    const proofOfStake = this.blockchain.consensusType === 'POS';
     this.isMining = true;
     
     try {
-      const transactions = this.transactionPool.getValidTransactions();
-      
-      // Add mining reward transaction
-      const rewardTransaction = {
-        id: crypto.randomUUID(),
-        from: null, // Mining reward
-        to: this.wallet.address,
-        amount: this.blockchain.miningReward,
-        timestamp: Date.now()
-      };
-      
-      transactions.push(rewardTransaction);
+      const transactions = this.createBlockTransactions();
 
-      const block = await this.blockchain.mineBlock(transactions, this.wallet.address);
-      
-      this.blockchain.addBlock(block);
-      this.transactionPool.clear();
+      const block = proofOfStake ?
+        this.blockchain.proposeBlock(transactions, this.wallet) :
+        await this.blockchain.mineBlock(transactions, this.wallet.address);
+      if (!block) {
+        return null; // not our slot, or cancelled by stopMining()
+      }
+      this.blockchain.recordProposal(block);
+
+      if (!this.blockchain.addBlock(block)) {
+        throw new Error(`Mined block ${block.index} no longer extends the chain tip`);
+      }
+      this.transactionPool.revalidate();
       
       // Broadcast new block to peers
       this.p2pServer.broadcastBlock(block);
@@ -753,29 +2347,75 @@ class BlockchainNode extends EventEmitter {
     }
   }
 
+  // Block template: best fee-paying transactions within the block size limit, followed by
+  // the reward transaction, which also collects the fees
+  createBlockTransactions() {
+    const transactions = this.transactionPool.selectForBlock();
+    const fees = this.transactionPool.getFees(transactions);
+    const subsidy = this.blockchain.getBlockSubsidy(this.blockchain.chain.length);
+    const rewardAmount = transactions.reduce((sum, t) => sum + fees.get(t.id), subsidy);
+
+    const rewardTransaction = this.blockchain.ledgerModel === 'UTXO' ?
+      {
+        id: crypto.randomUUID(),
+        inputs: [], // Coinbase
+        outputs: [{ address: this.wallet.address, amount: rewardAmount }],
+        timestamp: Date.now()
+      } :
+      {
+        id: crypto.randomUUID(),
+        from: null, // Mining reward
+        to: this.wallet.address,
+        amount: rewardAmount,
+        timestamp: Date.now()
+      };
+
+    transactions.push(rewardTransaction);
+    return transactions;
+  }
+
   stopMining() {
+    this.blockchain.cancelMining();
     this.isMining = false;
   }
 
   startAutoMining() {
+    const proofOfStake = this.blockchain.consensusType === 'POS';
+
     setInterval(async () => {
-      if (!this.isMining && this.transactionPool.getPoolSize() > 0) {
+      if (!this.isMining) {
         try {
-          console.log('Auto-mining triggered...');
+          if (!proofOfStake) console.log('Auto-mining triggered...');
           await this.mineBlock();
         } catch (error) {
           console.error('Auto-mining failed:', error.message);
         }
       }
-    }, 30000); // Try to mine every 30 seconds
+    }, proofOfStake ? this.blockchain.slotDuration : 30000); // Every slot, or try to mine every 30 seconds
   }
 
   signTransaction(transaction) {
-    // Simplified signature - in real implementation, use proper cryptographic signatures
-    const hash = crypto.createHash('sha256')
-      .update(JSON.stringify(transaction) + this.wallet.privateKey)
-      .digest('hex');
-    return hash;
+    return Wallet.signTransaction(transaction, this.wallet);
+  }
+
+  // Builds and signs a payment (or, with `type`, a STAKE / UNSTAKE) from the node's wallet.
+  // Without an explicit fee, the current estimate is applied to the size of a zero-fee draft
+  createTransaction(to, amount, fee, type) {
+    const build = (transactionFee) => this.signTransaction(this.blockchain.ledgerModel === 'UTXO' ?
+      this.blockchain.utxoSet.buildTransaction(this.wallet.address, to, amount, transactionFee) :
+      {
+        ...(type ? { type } : { to }),
+        from: this.wallet.address,
+        amount,
+        fee: transactionFee,
+        nonce: this.transactionPool.getNextNonce(this.wallet.address),
+        timestamp: Date.now()
+      });
+
+    if (fee === undefined) {
+      fee = this.transactionPool.suggestFee(getTransactionSize(build(0)) + 16); // room for the fee and change
+    }
+    return build(fee);
   }
 
   connectToPeers(peerAddresses) {
@@ -798,26 +2438,25 @@ class BlockchainNode extends EventEmitter {
   }
 }
 
-// Usage Example
-const node = new BlockchainNode();
-
-// Start the node
-node.startServer(3001, 5001);
-
-// Connect to other peers (if any)
-const peerAddresses = [
-  'ws://localhost:5002',
-  'ws://localhost:5003'
-];
-
-setTimeout(() => {
-  node.connectToPeers(peerAddresses);
-}, 2000);
-
 // Export for use in other modules
 module.exports = {
   BlockchainNode,
   P2PServer,
   EnhancedBlockchain,
   TransactionPool
-};
\ No newline at end of file
+};
+
+// Usage Example: `node 4D-P2Pnetwork.js` starts a node; requiring the module does not
+if (require.main === module) {
+  const node = new BlockchainNode({
+    dataDir: process.env.DATA_DIR,
+    miningThreads: parseInt(process.env.MINING_THREADS) || undefined,
+    // Entry points into the network; further peers are found through the routing table
+    bootstrapNodes: process.env.BOOTSTRAP_NODES ?
+      process.env.BOOTSTRAP_NODES.split(',') :
+      ['ws://localhost:5002', 'ws://localhost:5003']
+  });
+
+  // Start the node
+  node.startServer(3001, 5001);
+}
\ No newline at end of file
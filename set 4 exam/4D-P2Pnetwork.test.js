@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BlockchainNode, P2PServer } = require('./4D-P2Pnetwork.js');
+const { createWallet } = require('./4D-Wallet.js');
+
+function createNode(options = {}) {
+  const node = new BlockchainNode({ miningThreads: 0, emission: { coinbaseMaturity: 1 }, ...options });
+  node.blockchain.difficulty = 1;
+  node.p2pServer = { broadcastBlock() {}, broadcastTransaction() {} };
+  return node;
+}
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+test('only forged blocks are scored as invalid; blocks that fail our chain state get a small penalty', async () => {
+  const node = createNode();
+  const server = new P2PServer(node.blockchain, node.transactionPool, {});
+  const reasons = [];
+  server.misbehaving = (peerId, reason) => reasons.push(reason);
+
+  const miner = createNode();
+  const block = copy(await miner.blockchain.mineBlock(miner.createBlockTransactions(), miner.wallet.address));
+
+  // Valid proof of work over an inflated reward: the header is fine, the state transition is not
+  const inflated = copy(block);
+  inflated.transactions[0].amount = 999;
+  for (inflated.nonce = 0; ; inflated.nonce++) {
+    inflated.hash = node.blockchain.calculateHash(inflated);
+    if (inflated.hash.startsWith('0')) break;
+  }
+  server.processBlock(inflated, 'peer');
+
+  // A hash that does not match the header
+  server.processBlock({ ...block, hash: 'f'.repeat(64) }, 'peer');
+
+  assert.deepStrictEqual(reasons, ['REJECTED_BLOCK', 'INVALID_BLOCK']);
+  assert.ok(server.processBlock(block, 'peer'));
+});
+
+test('balances served from the address index match the ledger', async () => {
+  for (const ledgerModel of ['ACCOUNT', 'UTXO']) {
+    const node = createNode({ ledgerModel });
+    const recipient = createWallet();
+    for (let i = 0; i < 3; i++) await node.mineBlock();
+
+    node.transactionPool.updateOrAddTransaction(node.createTransaction(recipient.address, 0.3, 0.1));
+    await node.mineBlock();
+
+    [node.wallet.address, recipient.address].forEach(address => {
+      assert.strictEqual(node.blockchain.chainIndex.getBalance(address), node.blockchain.getBalance(address), ledgerModel);
+    });
+    assert.strictEqual(node.blockchain.chainIndex.getBalance(recipient.address), 0.3);
+  }
+});
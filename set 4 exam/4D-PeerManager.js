@@ -0,0 +1,204 @@
+// Peer policy for P2PServer: misbehaviour scores, per-message rate limits, bans and
+// connection limits. Peers are identified by their address (the remote IP for inbound connections,
+// the dialed URL for outbound) and, once the handshake has proven it, also by node id.
+
+// Points added to a peer's score; reaching `banThreshold` bans it
+const MISBEHAVIOR = {
+  INVALID_BLOCK: 100,     // hash, proof of work, proposer signature or commit certificate is wrong
+  REJECTED_BLOCK: 10,     // well-formed, but invalid against our chain state
+  INVALID_HEADERS: 50,
+  INVALID_MESSAGE: 20,    // undecodable or malformed payload
+  PROTOCOL_VIOLATION: 10, // e.g. messages before the handshake
+  INVALID_TRANSACTION: 10,
+  UNKNOWN_MESSAGE: 5,
+  RATE_LIMITED: 2         // spam, per message over the limit
+};
+
+// Token buckets per message type: `rate` tokens per second, up to `burst`
+const DEFAULT_RATE_LIMITS = {
+  default: { rate: 20, burst: 100 },
+  TRANSACTION: { rate: 50, burst: 500 },
+  BLOCK: { rate: 5, burst: 20 },
+  GET_BLOCKS: { rate: 5, burst: 20 },
+  GET_HEADERS: { rate: 2, burst: 10 },
+  FIND_NODE: { rate: 1, burst: 30 },
+  NODES: { rate: 1, burst: 30 },
+  CHAIN: { rate: 0.1, burst: 3 }
+};
+
+const DEFAULT_PEER_POLICY = {
+  banThreshold: 100,
+  banDuration: 24 * 60 * 60 * 1000, // ms
+  permanentBanAfter: 3,             // temporary bans before the next one is permanent
+  scoreDecayPerMinute: 1,           // points forgiven per minute of good behaviour
+  maxInbound: 32,
+  maxOutbound: 8
+};
+
+class TokenBucket {
+  constructor({ rate, burst }) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  take(now = Date.now()) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.rate);
+    this.updatedAt = now;
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+class PeerManager {
+  constructor(options = {}) {
+    this.policy = { ...DEFAULT_PEER_POLICY, ...options.policy };
+    this.rateLimits = { ...DEFAULT_RATE_LIMITS, ...options.rateLimits };
+    this.scores = new Map();   // peer key -> { score, updatedAt }
+    this.bans = new Map();     // peer key -> { reason, bannedAt, until (null = permanent) }
+    this.banCounts = new Map(); // peer key -> temporary bans so far
+    if (options.bans) {
+      this.load(options.bans);
+    }
+  }
+
+  // Identities a connection is scored and banned under. Node ids are free to generate, so the
+  // connecting address always counts too: a fresh key from the same address keeps its record
+  static getKeys(peer) {
+    const keys = [];
+    if (peer.nodeId) keys.push(`node:${peer.nodeId}`);
+    [peer.address, peer.listenAddress]
+      .filter(Boolean)
+      .forEach(address => keys.push(`address:${address}`));
+    return [...new Set(keys)];
+  }
+
+  getBan(key, now = Date.now()) {
+    const ban = this.bans.get(key);
+    if (ban && ban.until !== null && ban.until <= now) {
+      this.bans.delete(key);
+      return null;
+    }
+    return ban || null;
+  }
+
+  isBanned(peer) {
+    return PeerManager.getKeys(peer).some(key => this.getBan(key));
+  }
+
+  isAddressBanned(address) {
+    return Boolean(this.getBan(`address:${address}`));
+  }
+
+  // Highest decayed score across the peer's keys
+  getScore(peer, now = Date.now()) {
+    return PeerManager.getKeys(peer).reduce((highest, key) => {
+      const entry = this.scores.get(key);
+      if (!entry) return highest;
+
+      const decay = (now - entry.updatedAt) / 60000 * this.policy.scoreDecayPerMinute;
+      return Math.max(highest, entry.score - decay);
+    }, 0);
+  }
+
+  // Adds penalty points; returns the ban when this pushed the peer over the threshold
+  penalize(peer, reason, points = MISBEHAVIOR[reason] || 1) {
+    const now = Date.now();
+    const score = this.getScore(peer, now) + points;
+    const keys = PeerManager.getKeys(peer);
+    keys.forEach(key => this.scores.set(key, { score, updatedAt: now }));
+
+    if (score < this.policy.banThreshold) {
+      return null;
+    }
+    keys.forEach(key => this.scores.delete(key));
+    return this.ban(keys, reason);
+  }
+
+  // Temporary ban, or permanent once a peer keeps coming back and misbehaving
+  ban(keys, reason, permanent = false) {
+    const now = Date.now();
+    const previousBans = Math.max(...keys.map(key => this.banCounts.get(key) || 0));
+    const ban = {
+      reason,
+      bannedAt: now,
+      until: permanent || previousBans >= this.policy.permanentBanAfter ? null : now + this.policy.banDuration
+    };
+
+    keys.forEach(key => {
+      this.bans.set(key, ban);
+      this.banCounts.set(key, previousBans + 1);
+    });
+    return ban;
+  }
+
+  // Lifts the ban on `key` and on the other keys banned with it
+  unban(key) {
+    const ban = this.bans.get(key);
+    if (!ban) {
+      return false;
+    }
+
+    Array.from(this.bans.entries())
+      .filter(([, other]) => other === ban || (other.bannedAt === ban.bannedAt && other.reason === ban.reason))
+      .forEach(([otherKey]) => {
+        this.bans.delete(otherKey);
+        this.scores.delete(otherKey);
+        this.banCounts.delete(otherKey);
+      });
+    return true;
+  }
+
+  getBans() {
+    const now = Date.now();
+    return Array.from(this.bans.keys())
+      .filter(key => this.getBan(key, now))
+      .map(key => ({ key, ...this.bans.get(key), permanent: this.bans.get(key).until === null }));
+  }
+
+  // Per-connection limiter: allow(type) is false once the type's bucket is empty
+  createRateLimiter() {
+    const buckets = new Map();
+    return {
+      allow: (type) => {
+        if (!buckets.has(type)) {
+          buckets.set(type, new TokenBucket(this.rateLimits[type] || this.rateLimits.default));
+        }
+        return buckets.get(type).take();
+      }
+    };
+  }
+
+  canAccept(outbound, counts) {
+    return outbound ?
+      counts.outbound < this.policy.maxOutbound :
+      counts.inbound < this.policy.maxInbound;
+  }
+
+  // Persisted form: active bans and how often each key has been banned
+  toJSON() {
+    return {
+      bans: this.getBans().map(({ key, reason, bannedAt, until }) => ({ key, reason, bannedAt, until })),
+      banCounts: Array.from(this.banCounts.entries())
+    };
+  }
+
+  load(data) {
+    (data.bans || []).forEach(({ key, reason, bannedAt, until }) => {
+      this.bans.set(key, { reason, bannedAt, until });
+    });
+    (data.banCounts || []).forEach(([key, count]) => this.banCounts.set(key, count));
+  }
+}
+
+module.exports = {
+  MISBEHAVIOR,
+  DEFAULT_RATE_LIMITS,
+  DEFAULT_PEER_POLICY,
+  TokenBucket,
+  PeerManager
+};
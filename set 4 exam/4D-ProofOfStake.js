@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const { hashBlockHeader } = require('./4D-Serialization.js');
+const { UNITS_PER_COIN } = require('./4D-Emission.js');
+const { addressFromPublicKey, verifyDataSignature } = require('./4D-Wallet.js');
+
+// Proof-of-stake rules. Time is divided into slots of `slotDuration` ms; for each slot one
+// proposer is drawn, weighted by stake. Blocks are grouped into epochs of EPOCH_LENGTH; every
+// block of an epoch draws from the stakes and the chain history as they stood at the start of
+// the previous epoch, so neither the contents of recent blocks nor the stake transactions in
+// them can steer who proposes next.
+// The proposer signs the block hash, which commits to the slot and the proposer's address.
+// Signing two different blocks for the same slot is double-signing: anyone holding both headers
+// can submit them as a SLASH transaction, which burns the offender's stake.
+//
+// Staking transactions (account model only):
+// { id, type: 'STAKE' | 'UNSTAKE', from, amount, fee, nonce, timestamp, publicKey, signature }
+// Slashing evidence (unsigned; the two headers authenticate it):
+// { id, type: 'SLASH', offender, slot, evidence: [header, header] }
+
+const DEFAULT_SLOT_DURATION = 5000; // ms
+const EPOCH_LENGTH = 32;            // blocks sharing one proposer seed
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function getSlot(timestamp, slotDuration = DEFAULT_SLOT_DURATION) {
+  return Math.floor(timestamp / slotDuration);
+}
+
+function isStakingTransaction(transaction) {
+  return transaction.type === 'STAKE' || transaction.type === 'UNSTAKE';
+}
+
+function isSlashTransaction(transaction) {
+  return transaction.type === 'SLASH';
+}
+
+// Block whose state seeds the draws at `height`: the start of the previous epoch (genesis early on)
+function getEpochSeedHeight(height) {
+  return Math.max(0, (Math.floor(height / EPOCH_LENGTH) - 1) * EPOCH_LENGTH);
+}
+
+// History root over blocks [0, seed height]; `historyMMR` must hold the chain up to the parent of `height`
+function getProposerSeed(historyMMR, height) {
+  return historyMMR.getRoot(getEpochSeedHeight(height) + 1);
+}
+
+// Proposer of `slot` for the block at `height`, from the epoch's stake snapshot and seed.
+// `accountState` and `historyMMR` hold the chain up to the parent of `height`
+function selectEpochProposer(accountState, historyMMR, height, slot) {
+  const seedHeight = getEpochSeedHeight(height);
+  return selectProposer(accountState.getStakeSnapshot(seedHeight), slot, getProposerSeed(historyMMR, height));
+}
+
+// Deterministic stake-weighted draw; null when nobody has stake yet
+function selectProposer(stakes, slot, seed) {
+  const entries = Array.from(stakes.entries())
+    .filter(([, stake]) => stake > 0)
+    .map(([address, stake]) => [address, BigInt(Math.round(stake * UNITS_PER_COIN))])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const totalStake = entries.reduce((sum, [, stake]) => sum + stake, 0n);
+  if (totalStake === 0n) {
+    return null;
+  }
+
+  let ticket = BigInt('0x' + sha256(`${seed}:${slot}`)) % totalStake;
+  for (const [address, stake] of entries) {
+    if (ticket < stake) {
+      return address;
+    }
+    ticket -= stake;
+  }
+  return null;
+}
+
+// Checks a header (as produced by EnhancedBlockchain.getHeader plus the proposer signature)
+// hashes correctly and was signed by the validator it names
+function verifySignedHeader(header) {
+  const { nonce, hash, signature, proposerPublicKey, ...fields } = header;
+
+  if (!proposerPublicKey || !signature || addressFromPublicKey(proposerPublicKey) !== header.validator) {
+    return false;
+  }
+
+  try {
+    if (hashBlockHeader(fields, nonce) !== hash) {
+      return false;
+    }
+  } catch (error) {
+    return false;
+  }
+
+  return verifyDataSignature(hash, proposerPublicKey, signature);
+}
+
+function createSlashTransaction(header, conflictingHeader) {
+  return {
+    id: sha256(`SLASH:${header.validator}:${header.slot}`),
+    type: 'SLASH',
+    offender: header.validator,
+    slot: header.slot,
+    evidence: [header, conflictingHeader]
+  };
+}
+
+function verifySlashEvidence(transaction) {
+  if (!isSlashTransaction(transaction) || !Array.isArray(transaction.evidence) ||
+      transaction.evidence.length !== 2) {
+    return false;
+  }
+
+  const [first, second] = transaction.evidence;
+  return transaction.id === sha256(`SLASH:${transaction.offender}:${transaction.slot}`) &&
+    first.hash !== second.hash &&
+    [first, second].every(header =>
+      header.validator === transaction.offender &&
+      header.slot === transaction.slot &&
+      verifySignedHeader(header)
+    );
+}
+
+// Remembers one signed header per (validator, slot) and reports conflicting ones
+class DoubleSignDetector {
+  constructor(maxEntries = 10000) {
+    this.headers = new Map(); // "validator:slot" -> signed header
+    this.maxEntries = maxEntries;
+  }
+
+  // Returns a SLASH transaction when `header` conflicts with one seen earlier, otherwise null
+  record(header) {
+    if (!verifySignedHeader(header)) {
+      return null;
+    }
+
+    const key = `${header.validator}:${header.slot}`;
+    const seen = this.headers.get(key);
+    if (seen) {
+      return seen.hash === header.hash ? null : createSlashTransaction(seen, header);
+    }
+
+    this.headers.set(key, header);
+    if (this.headers.size > this.maxEntries) {
+      // Maps iterate in insertion order, so this drops the oldest entry
+      this.headers.delete(this.headers.keys().next().value);
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_SLOT_DURATION,
+  EPOCH_LENGTH,
+  getSlot,
+  isStakingTransaction,
+  isSlashTransaction,
+  getEpochSeedHeight,
+  getProposerSeed,
+  selectProposer,
+  selectEpochProposer,
+  verifySignedHeader,
+  createSlashTransaction,
+  verifySlashEvidence,
+  DoubleSignDetector
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { EPOCH_LENGTH, getProposerSeed, selectProposer, selectEpochProposer } = require('./4D-ProofOfStake.js');
+const { AccountState } = require('./4D-AccountState.js');
+const { MerkleMountainRange } = require('./4D-MerkleMountainRange.js');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const blockHash = (index, variant = '') => sha256(`block:${index}:${variant}`);
+const HEIGHTS = [2, EPOCH_LENGTH - 1, EPOCH_LENGTH, EPOCH_LENGTH + 1, 3 * EPOCH_LENGTH + 5];
+
+test('the parent block\'s contents do not change the seed', () => {
+  const stakes = new Map([['alice', 50], ['bob', 30], ['carol', 20]]);
+
+  HEIGHTS.forEach(height => {
+    const draws = ['', 'other transactions'].map(variant => {
+      const history = [];
+      for (let index = 0; index < height - 1; index++) history.push(blockHash(index));
+      history.push(blockHash(height - 1, variant));
+      const seed = getProposerSeed(MerkleMountainRange.fromBlockHashes(history), height);
+      return Array.from({ length: 20 }, (_, slot) => selectProposer(stakes, 1000 + slot, seed));
+    });
+
+    assert.deepStrictEqual(draws[1], draws[0], `height ${height}`);
+  });
+});
+
+test('stake added by the parent block does not change the proposer order', () => {
+  const stakeBlock = (index, address, amount) => ({
+    index,
+    transactions: [{ type: 'STAKE', from: address, amount, fee: 0, nonce: index, timestamp: index }]
+  });
+
+  HEIGHTS.forEach(height => {
+    const draws = [false, true].map(restake => {
+      const accountState = new AccountState();
+      const history = [];
+      for (let index = 0; index < height; index++) {
+        // alice and bob fund themselves once, then alice stakes a little every block
+        const block = stakeBlock(index, 'alice', 1);
+        if (index === 0) {
+          block.transactions = [
+            { from: null, to: 'alice', amount: 1000, timestamp: 0 },
+            { from: null, to: 'bob', amount: 1000, timestamp: 0 },
+            { type: 'STAKE', from: 'bob', amount: 10, fee: 0, nonce: 0, timestamp: 0 }
+          ];
+        }
+        // The parent grinds: a large stake and different contents
+        if (restake && index === height - 1) {
+          block.transactions.push(stakeBlock(index, 'bob', 500).transactions[0]);
+        }
+        accountState.applyBlock(block);
+        history.push(blockHash(index, restake && index === height - 1 ? 'ground' : ''));
+      }
+      const historyMMR = MerkleMountainRange.fromBlockHashes(history);
+      return Array.from({ length: 20 }, (_, slot) => selectEpochProposer(accountState, historyMMR, height, 1000 + slot));
+    });
+
+    assert.deepStrictEqual(draws[1], draws[0], `height ${height}`);
+  });
+});
+
+test('undoing an epoch-start block drops its stake snapshot', () => {
+  const accountState = new AccountState();
+  const block = { index: 0, transactions: [{ from: null, to: 'alice', amount: 10, timestamp: 0 }] };
+  accountState.applyBlock(block);
+  assert.strictEqual(accountState.getStakeSnapshot(0).size, 0);
+
+  accountState.undoBlock(block);
+  assert.throws(() => accountState.getStakeSnapshot(0), /No stake snapshot/);
+});
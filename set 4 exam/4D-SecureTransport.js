@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { encodeValue, decodeValue } = require('./4D-Serialization.js');
+
+// Handshake (both sides run it symmetrically; the dialing side is the initiator):
+//   1. HELLO: each side sends a fresh X25519 ephemeral public key in the clear.
+//   2. Both derive per-direction keys from the ephemeral DH secret, salted with the transcript hash.
+//   3. AUTH (first encrypted frame): the long-term Ed25519 public key and a signature over the
+//      transcript hash, so the peer's node id is bound to a key that took part in this exchange.
+// Every later frame is ChaCha20-Poly1305 with an implicit per-direction counter as nonce,
+// which also rejects replayed, dropped or reordered frames.
+
+const PROTOCOL_NAME = Buffer.from('4D-P2P-X25519-ChaCha20Poly1305-Ed25519-v1');
+const FRAME = { HELLO: 0x01, DATA: 0x02 };
+const TAG_LENGTH = 16;
+
+function nodeIdFromPublicKey(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest('hex');
+}
+
+// Long-term node identity, kept across restarts
+function createNodeIdentity() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const publicKeyHex = publicKey.export({ format: 'der', type: 'spki' }).toString('hex');
+
+  return {
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('hex'),
+    publicKey: publicKeyHex,
+    nodeId: nodeIdFromPublicKey(publicKeyHex)
+  };
+}
+
+function counterNonce(counter) {
+  const nonce = Buffer.alloc(12);
+  nonce.writeBigUInt64BE(counter, 4);
+  return nonce;
+}
+
+class SecureChannel {
+  constructor(identity, initiator, options = {}) {
+    this.identity = identity;
+    this.initiator = initiator;
+    this.allowedKeys = options.allowedKeys || null; // Set of public keys, or null for anyone
+    this.ephemeral = crypto.generateKeyPairSync('x25519');
+    this.state = 'HELLO'; // HELLO -> AUTH -> READY
+    this.remotePublicKey = null;
+    this.remoteNodeId = null;
+    this.sendCounter = 0n;
+    this.receiveCounter = 0n;
+  }
+
+  isEstablished() {
+    return this.state === 'READY';
+  }
+
+  hello() {
+    const ephemeral = this.ephemeral.publicKey.export({ format: 'der', type: 'spki' });
+    return Buffer.concat([Buffer.from([FRAME.HELLO]), ephemeral]);
+  }
+
+  // Processes one incoming frame. Returns { reply, established, plaintext }; throws on any
+  // protocol, authentication or decryption failure, after which the connection must be dropped
+  receive(frame) {
+    if (this.state === 'HELLO') {
+      return { reply: this.receiveHello(frame) };
+    }
+
+    const plaintext = this.open(frame);
+
+    if (this.state === 'AUTH') {
+      this.receiveAuth(plaintext);
+      return { established: true };
+    }
+
+    return { plaintext };
+  }
+
+  receiveHello(frame) {
+    if (frame[0] !== FRAME.HELLO) {
+      throw new Error('Expected handshake hello');
+    }
+
+    const localEphemeral = this.ephemeral.publicKey.export({ format: 'der', type: 'spki' });
+    const remoteEphemeral = frame.subarray(1);
+    const sharedSecret = crypto.diffieHellman({
+      privateKey: this.ephemeral.privateKey,
+      publicKey: crypto.createPublicKey({ key: remoteEphemeral, format: 'der', type: 'spki' })
+    });
+
+    const [initiatorEphemeral, responderEphemeral] = this.initiator ?
+      [localEphemeral, remoteEphemeral] : [remoteEphemeral, localEphemeral];
+    this.transcriptHash = crypto.createHash('sha256')
+      .update(PROTOCOL_NAME)
+      .update(initiatorEphemeral)
+      .update(responderEphemeral)
+      .digest();
+
+    const keys = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, this.transcriptHash, PROTOCOL_NAME, 64));
+    const initiatorKey = keys.subarray(0, 32);
+    const responderKey = keys.subarray(32);
+    this.sendKey = this.initiator ? initiatorKey : responderKey;
+    this.receiveKey = this.initiator ? responderKey : initiatorKey;
+    this.state = 'AUTH';
+
+    return this.seal(encodeValue({
+      publicKey: this.identity.publicKey,
+      signature: this.signTranscript(this.initiator)
+    }));
+  }
+
+  receiveAuth(plaintext) {
+    const { publicKey, signature } = decodeValue(plaintext);
+
+    let key;
+    try {
+      key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'hex'), format: 'der', type: 'spki' });
+    } catch (error) {
+      throw new Error('Invalid peer public key');
+    }
+
+    // The peer signed in the opposite role to ours
+    if (!crypto.verify(null, this.transcriptPayload(!this.initiator), key, Buffer.from(signature, 'hex'))) {
+      throw new Error('Peer failed to prove ownership of its key');
+    }
+
+    if (this.allowedKeys && !this.allowedKeys.has(publicKey)) {
+      throw new Error(`Peer key ${nodeIdFromPublicKey(publicKey)} is not on the allowlist`);
+    }
+
+    this.remotePublicKey = publicKey;
+    this.remoteNodeId = nodeIdFromPublicKey(publicKey);
+    this.state = 'READY';
+  }
+
+  transcriptPayload(initiator) {
+    return Buffer.concat([this.transcriptHash, Buffer.from(initiator ? 'initiator' : 'responder')]);
+  }
+
+  signTranscript(initiator) {
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.from(this.identity.privateKey, 'hex'),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    return crypto.sign(null, this.transcriptPayload(initiator), privateKey).toString('hex');
+  }
+
+  seal(plaintext) {
+    if (!this.sendKey) {
+      throw new Error('Secure channel is not established');
+    }
+
+    const cipher = crypto.createCipheriv('chacha20-poly1305', this.sendKey, counterNonce(this.sendCounter++), {
+      authTagLength: TAG_LENGTH
+    });
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([Buffer.from([FRAME.DATA]), ciphertext, cipher.getAuthTag()]);
+  }
+
+  open(frame) {
+    if (frame[0] !== FRAME.DATA || frame.length < 1 + TAG_LENGTH) {
+      throw new Error('Malformed encrypted frame');
+    }
+
+    const decipher = crypto.createDecipheriv('chacha20-poly1305', this.receiveKey, counterNonce(this.receiveCounter++), {
+      authTagLength: TAG_LENGTH
+    });
+    decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+
+    try {
+      return Buffer.concat([decipher.update(frame.subarray(1, frame.length - TAG_LENGTH)), decipher.final()]);
+    } catch (error) {
+      throw new Error('Frame failed authentication');
+    }
+  }
+}
+
+module.exports = {
+  SecureChannel,
+  createNodeIdentity,
+  nodeIdFromPublicKey
+};
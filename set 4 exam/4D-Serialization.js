@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+
+// Canonical binary encoding (CBOR-like) for blocks, transactions and wire messages.
+// Every top-level encoding starts with [FORMAT_VERSION][object kind] so the format can evolve.
+const FORMAT_VERSION = 1;
+
+const KIND = {
+  BLOCK: 0x42,       // 'B'
+  TRANSACTION: 0x54, // 'T'
+  MESSAGE: 0x4d,     // 'M'
+  HEADER: 0x48       // 'H', block hash preimage
+};
+
+const TAG = {
+  NULL: 0x00,
+  FALSE: 0x01,
+  TRUE: 0x02,
+  UINT: 0x03,
+  NEGINT: 0x04,
+  FLOAT: 0x05,
+  STRING: 0x06,
+  ARRAY: 0x07,
+  MAP: 0x08
+};
+
+function encodeVarint(value, out) {
+  // Unsigned LEB128, exact up to Number.MAX_SAFE_INTEGER
+  let remaining = value;
+  do {
+    let byte = remaining % 128;
+    remaining = Math.floor(remaining / 128);
+    if (remaining > 0) byte |= 0x80;
+    out.push(Buffer.from([byte]));
+  } while (remaining > 0);
+}
+
+function encodeInto(value, out) {
+  if (value === null || value === undefined) {
+    out.push(Buffer.from([TAG.NULL]));
+  } else if (value === false) {
+    out.push(Buffer.from([TAG.FALSE]));
+  } else if (value === true) {
+    out.push(Buffer.from([TAG.TRUE]));
+  } else if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot encode non-finite number: ${value}`);
+    }
+    if (Number.isSafeInteger(value)) {
+      // -0 and 0 share one encoding
+      out.push(Buffer.from([value >= 0 ? TAG.UINT : TAG.NEGINT]));
+      encodeVarint(value >= 0 ? Math.abs(value) : -value - 1, out);
+    } else {
+      const float = Buffer.alloc(9);
+      float[0] = TAG.FLOAT;
+      float.writeDoubleBE(value, 1);
+      out.push(float);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    out.push(Buffer.from([TAG.STRING]));
+    encodeVarint(bytes.length, out);
+    out.push(bytes);
+  } else if (Array.isArray(value)) {
+    out.push(Buffer.from([TAG.ARRAY]));
+    encodeVarint(value.length, out);
+    value.forEach(item => encodeInto(item, out));
+  } else if (typeof value === 'object') {
+    // Keys sorted by their UTF-8 bytes; undefined members are dropped, as in JSON
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .map(key => [Buffer.from(key, 'utf8'), value[key]])
+      .sort((a, b) => Buffer.compare(a[0], b[0]));
+
+    out.push(Buffer.from([TAG.MAP]));
+    encodeVarint(entries.length, out);
+    entries.forEach(([keyBytes, item]) => {
+      encodeVarint(keyBytes.length, out);
+      out.push(keyBytes);
+      encodeInto(item, out);
+    });
+  } else {
+    throw new Error(`Cannot encode value of type ${typeof value}`);
+  }
+}
+
+function encodeValue(value) {
+  const out = [];
+  encodeInto(value, out);
+  return Buffer.concat(out);
+}
+
+class Decoder {
+  constructor(buffer, offset = 0) {
+    this.buffer = buffer;
+    this.offset = offset;
+  }
+
+  readByte() {
+    if (this.offset >= this.buffer.length) {
+      throw new Error('Unexpected end of input');
+    }
+    return this.buffer[this.offset++];
+  }
+
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+      const byte = this.readByte();
+      value += (byte & 0x7f) * multiplier;
+      if (!(byte & 0x80)) {
+        // A trailing zero group means the same value has a shorter encoding
+        if (byte === 0 && multiplier > 1) {
+          throw new Error('Non-minimal varint');
+        }
+        break;
+      }
+      multiplier *= 128;
+      if (multiplier > Number.MAX_SAFE_INTEGER) {
+        throw new Error('Varint too long');
+      }
+    }
+    if (value > Number.MAX_SAFE_INTEGER) {
+      throw new Error('Varint too long');
+    }
+    return value;
+  }
+
+  readBytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('Unexpected end of input');
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  readValue() {
+    const tag = this.readByte();
+
+    switch (tag) {
+      case TAG.NULL: return null;
+      case TAG.FALSE: return false;
+      case TAG.TRUE: return true;
+      case TAG.UINT: return this.readVarint();
+      case TAG.NEGINT: return -this.readVarint() - 1;
+      case TAG.FLOAT: return this.readBytes(8).readDoubleBE(0);
+      case TAG.STRING: return this.readBytes(this.readVarint()).toString('utf8');
+      case TAG.ARRAY: {
+        const length = this.readVarint();
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(this.readValue());
+        return items;
+      }
+      case TAG.MAP: {
+        const length = this.readVarint();
+        const result = {};
+        for (let i = 0; i < length; i++) {
+          const key = this.readBytes(this.readVarint()).toString('utf8');
+          // Own data property even for keys like "__proto__", which would otherwise set the prototype
+          Object.defineProperty(result, key, { value: this.readValue(), enumerable: true, writable: true, configurable: true });
+        }
+        return result;
+      }
+      default:
+        throw new Error(`Unknown tag 0x${tag.toString(16)} at offset ${this.offset - 1}`);
+    }
+  }
+}
+
+function decodeValue(buffer) {
+  const decoder = new Decoder(buffer);
+  const value = decoder.readValue();
+  if (decoder.offset !== buffer.length) {
+    throw new Error('Trailing bytes after value');
+  }
+  // Every value has exactly one encoding: anything else (unsorted keys, integral floats...) is refused
+  if (!encodeValue(value).equals(buffer)) {
+    throw new Error('Non-canonical encoding');
+  }
+  return value;
+}
+
+function encodeWithKind(kind, value) {
+  return Buffer.concat([Buffer.from([FORMAT_VERSION, kind]), encodeValue(value)]);
+}
+
+function decodeWithKind(kind, buffer) {
+  const bytes = Buffer.from(buffer);
+  if (bytes.length < 2 || bytes[0] !== FORMAT_VERSION) {
+    throw new Error(`Unsupported serialization version: ${bytes[0]}`);
+  }
+  if (bytes[1] !== kind) {
+    throw new Error(`Expected kind 0x${kind.toString(16)}, got 0x${bytes[1].toString(16)}`);
+  }
+  return decodeValue(bytes.subarray(2));
+}
+
+const encodeBlock = block => encodeWithKind(KIND.BLOCK, block);
+const decodeBlock = buffer => decodeWithKind(KIND.BLOCK, buffer);
+const encodeTransaction = transaction => encodeWithKind(KIND.TRANSACTION, transaction);
+const decodeTransaction = buffer => decodeWithKind(KIND.TRANSACTION, buffer);
+const encodeMessage = message => encodeWithKind(KIND.MESSAGE, message);
+const decodeMessage = buffer => decodeWithKind(KIND.MESSAGE, buffer);
+
+// Block hash preimage: header fields first, the nonce last so miners can reuse the prefix state
+function encodeBlockHashPrefix(header) {
+  return encodeWithKind(KIND.HEADER, header);
+}
+
+function hashBlockHeader(header, nonce) {
+  return crypto.createHash('sha256')
+    .update(encodeBlockHashPrefix(header))
+    .update(encodeValue(nonce))
+    .digest('hex');
+}
+
+// Checks the encoder against the frozen vectors in 4D-SerializationVectors.json
+function verifyGoldenVectors(vectors = require('./4D-SerializationVectors.json')) {
+  const failures = [];
+
+  vectors.values.forEach(vector => {
+    const hex = encodeValue(vector.value).toString('hex');
+    if (hex !== vector.hex) {
+      failures.push(`${vector.description}: encoded ${hex}, expected ${vector.hex}`);
+    } else if (encodeValue(decodeValue(Buffer.from(hex, 'hex'))).toString('hex') !== hex) {
+      failures.push(`${vector.description}: does not round-trip`);
+    }
+  });
+
+  // Byte strings that would decode to a value with a different canonical encoding
+  vectors.invalid.forEach(vector => {
+    try {
+      decodeValue(Buffer.from(vector.hex, 'hex'));
+      failures.push(`${vector.description}: decoded, expected "${vector.error}"`);
+    } catch (error) {
+      if (error.message !== vector.error) {
+        failures.push(`${vector.description}: failed with "${error.message}", expected "${vector.error}"`);
+      }
+    }
+  });
+
+  vectors.transactions.forEach(vector => {
+    const hex = encodeTransaction(vector.transaction).toString('hex');
+    if (hex !== vector.hex) {
+      failures.push(`${vector.description}: encoded ${hex}, expected ${vector.hex}`);
+    }
+  });
+
+  vectors.blocks.forEach(vector => {
+    const hex = encodeBlock(vector.block).toString('hex');
+    if (hex !== vector.hex) {
+      failures.push(`${vector.description}: encoded ${hex}, expected ${vector.hex}`);
+    }
+    const { nonce, hash, validator, ...header } = vector.block;
+    if (hashBlockHeader(header, nonce) !== vector.hash) {
+      failures.push(`${vector.description}: hash mismatch`);
+    }
+  });
+
+  return failures;
+}
+
+if (require.main === module) {
+  const failures = verifyGoldenVectors();
+  failures.forEach(failure => console.error(failure));
+  console.log(failures.length === 0 ? 'All golden vectors match' : `${failures.length} vector(s) failed`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+module.exports = {
+  FORMAT_VERSION,
+  encodeValue,
+  decodeValue,
+  encodeBlock,
+  decodeBlock,
+  encodeTransaction,
+  decodeTransaction,
+  encodeMessage,
+  decodeMessage,
+  encodeBlockHashPrefix,
+  hashBlockHeader,
+  verifyGoldenVectors
+};
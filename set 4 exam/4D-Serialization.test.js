@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeValue, decodeValue, verifyGoldenVectors } = require('./4D-Serialization.js');
+
+test('the encoder matches the golden vectors', () => {
+  assert.deepStrictEqual(verifyGoldenVectors(), []);
+});
+
+test('each value decodes from exactly one byte string', () => {
+  assert.strictEqual(encodeValue(1).toString('hex'), '0301');
+  assert.throws(() => decodeValue(Buffer.from('038100', 'hex')), /Non-minimal varint/);
+  assert.throws(() => decodeValue(Buffer.from('03818000', 'hex')), /Non-minimal varint/);
+  assert.strictEqual(decodeValue(Buffer.from('038001', 'hex')), 128);
+});
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { addressFromPublicKey } = require('./4D-Wallet.js');
+const { DEFAULT_EMISSION_PARAMS, sameAmount, isMature } = require('./4D-Emission.js');
+
+// UTXO transactions look like:
+// { id, inputs: [{ txId, outputIndex }], outputs: [{ address, amount }], timestamp }
+// A transaction with no inputs is a coinbase (mining reward); its outputs mature after
+// `coinbaseMaturity` blocks.
+
+function outputKey(txId, outputIndex) {
+  return `${txId}:${outputIndex}`;
+}
+
+function isCoinbase(transaction) {
+  return Array.isArray(transaction.inputs) && transaction.inputs.length === 0;
+}
+
+function outputTotal(transaction) {
+  return transaction.outputs.reduce((sum, output) => sum + output.amount, 0);
+}
+
+function isUTXOTransaction(transaction) {
+  return Boolean(transaction) &&
+    Array.isArray(transaction.inputs) &&
+    Array.isArray(transaction.outputs);
+}
+
+// Marks a transaction's inputs as spent and its outputs as available for later transactions in the same block
+function recordInBlock(transaction, spentInBlock, createdInBlock, height) {
+  transaction.inputs.forEach(input => {
+    const key = outputKey(input.txId, input.outputIndex);
+    spentInBlock.add(key);
+    createdInBlock.delete(key);
+  });
+  transaction.outputs.forEach((output, outputIndex) => {
+    createdInBlock.set(outputKey(transaction.id, outputIndex), {
+      txId: transaction.id,
+      outputIndex,
+      address: output.address,
+      amount: output.amount,
+      height,
+      coinbase: isCoinbase(transaction)
+    });
+  });
+}
+
+class UTXOSet {
+  constructor(emissionParams = DEFAULT_EMISSION_PARAMS) {
+    this.outputs = new Map();        // "txId:index" -> { txId, outputIndex, address, amount, height, coinbase }
+    this.addressIndex = new Map();   // address -> Set of "txId:index"
+    this.emissionParams = emissionParams;
+    this.height = -1;                // index of the last applied block
+  }
+
+  get(txId, outputIndex) {
+    return this.outputs.get(outputKey(txId, outputIndex)) || null;
+  }
+
+  addOutput(output) {
+    const key = outputKey(output.txId, output.outputIndex);
+    this.outputs.set(key, output);
+
+    if (!this.addressIndex.has(output.address)) {
+      this.addressIndex.set(output.address, new Set());
+    }
+    this.addressIndex.get(output.address).add(key);
+  }
+
+  removeOutput(txId, outputIndex) {
+    const key = outputKey(txId, outputIndex);
+    const output = this.outputs.get(key);
+    if (!output) return null;
+
+    this.outputs.delete(key);
+    const keys = this.addressIndex.get(output.address);
+    keys.delete(key);
+    if (keys.size === 0) {
+      this.addressIndex.delete(output.address);
+    }
+    return output;
+  }
+
+  getUnspentOutputs(address) {
+    const keys = this.addressIndex.get(address) || new Set();
+    return Array.from(keys).map(key => this.outputs.get(key));
+  }
+
+  isSpendable(output, height = this.height + 1) {
+    return !output.coinbase || isMature(output.height, height, this.emissionParams);
+  }
+
+  // Outputs that can go into the next block (mature coinbase outputs only)
+  getSpendableOutputs(address) {
+    return this.getUnspentOutputs(address).filter(output => this.isSpendable(output));
+  }
+
+  getBalance(address) {
+    return this.getUnspentOutputs(address).reduce((sum, output) => sum + output.amount, 0);
+  }
+
+  getImmatureBalance(address) {
+    return this.getUnspentOutputs(address)
+      .filter(output => !this.isSpendable(output))
+      .reduce((sum, output) => sum + output.amount, 0);
+  }
+
+  // Returns null when the transaction is valid against this set at block `height`, otherwise the reason
+  checkTransaction(transaction, spentInBlock = new Set(), createdInBlock = new Map(), height = this.height + 1) {
+    if (!isUTXOTransaction(transaction) || !transaction.id) {
+      return 'Malformed transaction';
+    }
+
+    if (transaction.outputs.length === 0) {
+      return 'Transaction has no outputs';
+    }
+
+    for (const output of transaction.outputs) {
+      if (!output.address || typeof output.amount !== 'number' || !(output.amount > 0)) {
+        return 'Invalid output';
+      }
+    }
+
+    for (let i = 0; i < transaction.outputs.length; i++) {
+      const key = outputKey(transaction.id, i);
+      if (this.outputs.has(key) || createdInBlock.has(key)) {
+        return `Output ${key} already exists`;
+      }
+    }
+
+    if (isCoinbase(transaction)) {
+      return null;
+    }
+
+    let inputTotal = 0;
+    const seenInputs = new Set();
+    const signer = transaction.publicKey ? addressFromPublicKey(transaction.publicKey) : null;
+
+    for (const input of transaction.inputs) {
+      const key = outputKey(input.txId, input.outputIndex);
+
+      if (seenInputs.has(key) || spentInBlock.has(key)) {
+        return `Double spend of ${key}`;
+      }
+      seenInputs.add(key);
+
+      const output = this.outputs.get(key) || createdInBlock.get(key);
+      if (!output) {
+        return `Missing or spent output ${key}`;
+      }
+      if (output.address !== signer) {
+        return `Output ${key} is not owned by the signer`;
+      }
+      if (!this.isSpendable(output, height)) {
+        return `Coinbase output ${key} is not mature`;
+      }
+      inputTotal += output.amount;
+    }
+
+    if (outputTotal(transaction) > inputTotal) {
+      return 'Outputs exceed inputs';
+    }
+
+    return null;
+  }
+
+  // Inputs minus outputs; inputs may also be outputs created earlier in the same block (or pool)
+  getFee(transaction, createdInBlock = new Map()) {
+    if (isCoinbase(transaction)) {
+      return 0;
+    }
+
+    const inputTotal = transaction.inputs.reduce((sum, input) => {
+      const key = outputKey(input.txId, input.outputIndex);
+      const output = this.outputs.get(key) || createdInBlock.get(key);
+      return sum + (output ? output.amount : 0);
+    }, 0);
+
+    return inputTotal - outputTotal(transaction);
+  }
+
+  // Dry run over a whole block so spends within the same block are accounted for.
+  // The block must have exactly one coinbase, paying `subsidy` plus the fees of its transactions
+  checkBlock(block, subsidy) {
+    const spentInBlock = new Set();
+    const createdInBlock = new Map();
+    const coinbases = [];
+    let fees = 0;
+
+    for (const transaction of block.transactions) {
+      const error = this.checkTransaction(transaction, spentInBlock, createdInBlock, block.index);
+      if (error) {
+        return error;
+      }
+
+      if (isCoinbase(transaction)) {
+        coinbases.push(transaction);
+      } else {
+        fees += this.getFee(transaction, createdInBlock);
+      }
+
+      recordInBlock(transaction, spentInBlock, createdInBlock, block.index);
+    }
+
+    if (coinbases.length !== 1 || !sameAmount(outputTotal(coinbases[0]), subsidy + fees)) {
+      return `Invalid coinbase: expected exactly one paying ${subsidy + fees}`;
+    }
+
+    return null;
+  }
+
+  // Keeps the transactions that can all be included together, in order
+  filterValidTransactions(transactions) {
+    const spentInBlock = new Set();
+    const createdInBlock = new Map();
+
+    return transactions.filter(transaction => {
+      if (isCoinbase(transaction) || this.checkTransaction(transaction, spentInBlock, createdInBlock)) {
+        return false;
+      }
+      recordInBlock(transaction, spentInBlock, createdInBlock, this.height + 1);
+      return true;
+    });
+  }
+
+  // Applies an already-checked block; the returned undo data lets the block be rolled back
+  applyBlock(block) {
+    const spent = [];
+
+    for (const transaction of block.transactions) {
+      for (const input of transaction.inputs) {
+        spent.push(this.removeOutput(input.txId, input.outputIndex));
+      }
+      transaction.outputs.forEach((output, outputIndex) => {
+        this.addOutput({
+          txId: transaction.id,
+          outputIndex,
+          address: output.address,
+          amount: output.amount,
+          height: block.index,
+          coinbase: isCoinbase(transaction)
+        });
+      });
+    }
+
+    this.height = block.index;
+    return { spent };
+  }
+
+  // Transaction by transaction in reverse, so an output created and spent within the block
+  // is restored by its spender and then removed again with its creator
+  undoBlock(block, undo) {
+    let spentIndex = undo.spent.length;
+    for (let t = block.transactions.length - 1; t >= 0; t--) {
+      const transaction = block.transactions[t];
+      transaction.outputs.forEach((output, outputIndex) => {
+        this.removeOutput(transaction.id, outputIndex);
+      });
+      spentIndex -= transaction.inputs.length;
+      undo.spent.slice(spentIndex, spentIndex + transaction.inputs.length)
+        .forEach(output => this.addOutput(output));
+    }
+    this.height = block.index - 1;
+  }
+
+  // Picks inputs for `amount` and sends any remainder back to the sender as change
+  buildTransaction(from, to, amount, fee = 0) {
+    const required = amount + fee;
+    const inputs = [];
+    let inputTotal = 0;
+
+    for (const output of this.getSpendableOutputs(from)) {
+      if (inputTotal >= required) break;
+      inputs.push({ txId: output.txId, outputIndex: output.outputIndex });
+      inputTotal += output.amount;
+    }
+
+    if (inputTotal < required) {
+      throw new Error(`Insufficient funds: ${from} has ${inputTotal}, needs ${required}`);
+    }
+
+    const outputs = [{ address: to, amount }];
+    if (inputTotal > required) {
+      outputs.push({ address: from, amount: inputTotal - required });
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      inputs,
+      outputs,
+      timestamp: Date.now()
+    };
+  }
+
+  static fromChain(chain, emissionParams) {
+    const utxoSet = new UTXOSet(emissionParams);
+    chain.forEach(block => utxoSet.applyBlock(block));
+    return utxoSet;
+  }
+}
+
+module.exports = {
+  UTXOSet,
+  isCoinbase,
+  isUTXOTransaction,
+  outputKey
+};
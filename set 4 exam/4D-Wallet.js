@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { encodeTransaction } = require('./4D-Serialization.js');
+
+// Fields that are not covered by the signature
+const UNSIGNED_FIELDS = ['id', 'signature'];
+
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' });
+
+  return {
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('hex'),
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).toString('hex')
+  };
+}
+
+function addressFromPublicKey(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'hex')).digest('hex').substring(0, 40);
+}
+
+function createWallet() {
+  const { privateKey, publicKey } = generateKeyPair();
+  return { privateKey, publicKey, address: addressFromPublicKey(publicKey) };
+}
+
+function signingPayload(transaction) {
+  const unsigned = {};
+  Object.keys(transaction)
+    .filter(key => !UNSIGNED_FIELDS.includes(key))
+    .forEach(key => { unsigned[key] = transaction[key]; });
+  return encodeTransaction(unsigned);
+}
+
+// The id is derived from the signed payload so it cannot be changed in transit
+function computeTransactionId(transaction) {
+  return crypto.createHash('sha256').update(signingPayload(transaction)).digest('hex');
+}
+
+// Attaches publicKey, signature and id to the transaction
+function signTransaction(transaction, wallet) {
+  const signed = { ...transaction, publicKey: wallet.publicKey };
+  delete signed.id;
+  delete signed.signature;
+
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(wallet.privateKey, 'hex'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+
+  signed.signature = crypto.sign('sha256', signingPayload(signed), privateKey).toString('hex');
+  signed.id = computeTransactionId(signed);
+  return signed;
+}
+
+function verifyTransactionSignature(transaction) {
+  if (!transaction || !transaction.publicKey || !transaction.signature) {
+    return false;
+  }
+
+  // Account-model transactions must be signed by the key behind `from`
+  if (transaction.from !== undefined && transaction.from !== addressFromPublicKey(transaction.publicKey)) {
+    return false;
+  }
+
+  if (transaction.id !== computeTransactionId(transaction)) {
+    return false;
+  }
+
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: Buffer.from(transaction.publicKey, 'hex'),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify('sha256', signingPayload(transaction), publicKey, Buffer.from(transaction.signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+// Signs arbitrary bytes (e.g. a block hash) with the wallet key
+function signData(data, wallet) {
+  const privateKey = crypto.createPrivateKey({
+    key: Buffer.from(wallet.privateKey, 'hex'),
+    format: 'der',
+    type: 'pkcs8'
+  });
+  return crypto.sign('sha256', Buffer.from(data), privateKey).toString('hex');
+}
+
+function verifyDataSignature(data, publicKey, signature) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.from(publicKey, 'hex'),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify('sha256', Buffer.from(data), key, Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  createWallet,
+  addressFromPublicKey,
+  signingPayload,
+  computeTransactionId,
+  signTransaction,
+  verifyTransactionSignature,
+  signData,
+  verifyDataSignature
+};